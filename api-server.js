@@ -0,0 +1,79 @@
+import { createServer } from 'http';
+import { parseArgs } from './lib/cli.js';
+import { createApiHandler } from './lib/api.js';
+import { getDatabaseConfig, openDatabase } from './lib/db/index.js';
+import { assertSchemaCurrent } from './lib/migrations.js';
+import { loadReports } from './lib/reports.js';
+
+const DEFAULT_PORT = 3000;
+const DEFAULT_HOST = '127.0.0.1';
+
+const parseOptions = (argv) => {
+  const { options } = parseArgs(argv, {
+    port: { type: 'integer', default: Number(process.env.PORT) || DEFAULT_PORT },
+    host: { type: 'string', default: DEFAULT_HOST },
+  });
+
+  if (options.port < 0 || options.port > 65535) {
+    throw new Error(`--port must be between 0 and 65535, got ${options.port}`);
+  }
+
+  return options;
+};
+
+const main = async () => {
+  let db;
+
+  try {
+    const options = parseOptions(process.argv.slice(2));
+    const config = getDatabaseConfig();
+    const reports = await loadReports();
+
+    db = await openDatabase(config, { readOnly: true });
+    await assertSchemaCurrent(db);
+    const server = createServer(createApiHandler({ db, reports }));
+
+    const shutdown = () => {
+      console.log('Shutting down analytics API...');
+      server.close(async () => {
+        try {
+          await db.close();
+        } catch (error) {
+          console.error('Error closing database connection:', error);
+          process.exitCode = 1;
+        }
+      });
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+
+    // Listen errors such as a port already in use arrive as events, not throws.
+    server.once('error', async (error) => {
+      console.error('Analytics API server failed:', error.message);
+      process.exitCode = 1;
+      process.off('SIGINT', shutdown);
+      process.off('SIGTERM', shutdown);
+      server.close();
+      try {
+        await db.close();
+      } catch (closeError) {
+        console.error('Error closing database connection:', closeError);
+      }
+    });
+
+    server.listen(options.port, options.host, () => {
+      const { address, port } = server.address();
+      console.log(
+        `Analytics API serving ${config.filePath} (${config.client}, read-only) at http://${address}:${port}/`
+      );
+    });
+  } catch (error) {
+    console.error('Failed to start analytics API:', error);
+    process.exitCode = 1;
+    if (db) {
+      await db.close();
+    }
+  }
+};
+
+main();
@@ -0,0 +1,199 @@
+import { mkdir, writeFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { barChart, lineChart, stackedBarChart } from './lib/charts.js';
+import { isMain, parseArgs } from './lib/cli.js';
+import { BASE_CURRENCY } from './lib/currencies.js';
+import { getDatabaseConfig, openDatabase } from './lib/db/index.js';
+import { assertSchemaCurrent } from './lib/migrations.js';
+import { escapeHtml, renderHtmlTable } from './lib/report-formats.js';
+import { loadReports, resolveParams, runReport } from './lib/reports.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const DEFAULT_OUT_FILE = path.join(__dirname, 'reports-output', 'dashboard.html');
+const DASHBOARD_REPORTS = [
+  'monthly-revenue',
+  'revenue-by-category',
+  'payment-methods',
+  'customer-geography',
+  'top-customers',
+  'popular-products',
+];
+
+const STYLES = `
+body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 0; background: #f5f6f8; color: #222; }
+header { background: #1f3b57; color: #fff; padding: 1.2rem 2rem; }
+header h1 { margin: 0 0 0.3rem; font-size: 1.5rem; }
+header p { margin: 0; opacity: 0.8; }
+main { display: grid; grid-template-columns: repeat(auto-fit, minmax(560px, 1fr)); gap: 1.2rem; padding: 1.2rem 2rem; }
+section { background: #fff; border-radius: 6px; padding: 1rem 1.2rem; box-shadow: 0 1px 2px rgba(0, 0, 0, 0.08); }
+section.wide { grid-column: 1 / -1; }
+h2 { font-size: 1.1rem; margin: 0 0 0.8rem; }
+.kpis { display: flex; gap: 2rem; }
+.kpi strong { display: block; font-size: 1.6rem; }
+svg text { font-size: 12px; fill: #333; }
+svg .grid { stroke: #e3e3e3; }
+table { border-collapse: collapse; width: 100%; margin-top: 0.8rem; font-size: 0.85rem; }
+th, td { border-bottom: 1px solid #eee; padding: 0.3rem 0.5rem; text-align: left; }
+th { background: #f3f3f3; }
+.empty { color: #888; }
+`;
+
+const formatAmount = (value) =>
+  Number(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const section = (title, body, { wide = false } = {}) =>
+  `<section${wide ? ' class="wide"' : ''}>
+<h2>${escapeHtml(title)}</h2>
+${body}
+</section>`;
+
+const renderDashboard = (results, { generatedAt, client, params }) => {
+  const monthly = [...results['monthly-revenue']].reverse();
+  const totalRevenue = monthly.reduce((sum, row) => sum + row.total_revenue, 0);
+  const totalOrders = monthly.reduce((sum, row) => sum + row.total_orders, 0);
+  const filters = Object.entries(params)
+    .filter(([, value]) => value !== undefined)
+    .map(([name, value]) => `${name} ${value}`)
+    .join(', ');
+
+  const sections = [
+    section(
+      'Overview',
+      `<div class="kpis">
+<div class="kpi"><strong>${formatAmount(totalRevenue)}</strong>Paid order revenue (${escapeHtml(params.currency)})</div>
+<div class="kpi"><strong>${totalOrders.toLocaleString('en-US')}</strong>Paid orders</div>
+<div class="kpi"><strong>${formatAmount(totalOrders ? totalRevenue / totalOrders : 0)}</strong>Average order value (${escapeHtml(params.currency)})</div>
+</div>`,
+      { wide: true }
+    ),
+    section('Monthly Revenue Trend', lineChart(monthly, { label: 'month', value: 'total_revenue' }), {
+      wide: true,
+    }),
+    section(
+      'Revenue by Category',
+      barChart(results['revenue-by-category'], { label: 'category', value: 'revenue' })
+    ),
+    section(
+      'Payment Status by Method',
+      `${stackedBarChart(results['payment-methods'], {
+        label: 'payment_method',
+        series: [
+          { key: 'completed', name: 'Completed' },
+          { key: 'failed', name: 'Failed' },
+          { key: 'pending', name: 'Pending' },
+        ],
+      })}
+${renderHtmlTable(results['payment-methods'])}`
+    ),
+    section(
+      'Revenue by Country',
+      `${barChart(results['customer-geography'], { label: 'country', value: 'revenue' })}
+${renderHtmlTable(results['customer-geography'])}`
+    ),
+    section(
+      'Top Customers by Total Spending',
+      barChart(results['top-customers'], { label: 'customer_name', value: 'total_spent' })
+    ),
+    section(
+      'Most Popular Products by Quantity Sold',
+      barChart(results['popular-products'], { label: 'product_name', value: 'total_quantity_sold' })
+    ),
+  ];
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Ecommerce Analytics Dashboard</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header>
+<h1>Ecommerce Analytics Dashboard</h1>
+<p>Generated ${escapeHtml(generatedAt)} from the ${escapeHtml(client)} database${filters ? ` (${escapeHtml(filters)})` : ''}</p>
+</header>
+<main>
+${sections.join('\n')}
+</main>
+</body>
+</html>
+`;
+};
+
+const parseOptions = (argv) => {
+  const { options } = parseArgs(argv, {
+    out: { type: 'string', default: DEFAULT_OUT_FILE },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    currency: { type: 'string', default: BASE_CURRENCY },
+  });
+
+  return {
+    outFile: path.resolve(options.out),
+    params: { from: options.from, to: options.to, currency: options.currency },
+  };
+};
+
+export const buildDashboard = async (argv = []) => {
+  let db;
+
+  try {
+    const options = parseOptions(argv);
+    const reports = await loadReports();
+    const selected = DASHBOARD_REPORTS.map((name) => {
+      const report = reports.find((candidate) => candidate.name === name);
+      if (!report) {
+        throw new Error(`The dashboard needs the ${name} report, which is missing from reports/`);
+      }
+      return { report, params: resolveParams(report, options.params) };
+    });
+
+    const config = getDatabaseConfig();
+    console.log(`Connecting to ecommerce database (${config.client})...`);
+    db = await openDatabase(config, { readOnly: true });
+    await assertSchemaCurrent(db);
+
+    console.log('Running dashboard queries...');
+    const results = Object.fromEntries(
+      await Promise.all(
+        selected.map(async ({ report, params }) => [report.name, await runReport(db, report, params)])
+      )
+    );
+
+    await mkdir(path.dirname(options.outFile), { recursive: true });
+    await writeFile(
+      options.outFile,
+      renderDashboard(results, {
+        generatedAt: new Date().toISOString(),
+        client: config.client,
+        params: options.params,
+      }),
+      'utf8'
+    );
+    console.log(`Dashboard written to ${options.outFile}.`);
+  } finally {
+    if (db) {
+      try {
+        await db.close();
+      } catch (error) {
+        console.error('Error closing database connection:', error);
+      }
+    }
+  }
+};
+
+const main = async () => {
+  try {
+    await buildDashboard(process.argv.slice(2));
+  } catch (error) {
+    console.error('Failed to build dashboard:', error);
+    process.exitCode = 1;
+  }
+};
+
+if (isMain(import.meta.url)) {
+  main();
+}
@@ -0,0 +1,105 @@
+import { isMain, parseArgs } from './lib/cli.js';
+import { getDatabaseConfig, openDatabase } from './lib/db/index.js';
+import { migrateUp } from './lib/migrations.js';
+
+const DEFAULT_MIN_PAIR_ORDERS = 2;
+
+// Pairs are counted with one self-join of the distinct (order, product)
+// baskets inside the database, so nothing proportional to the number of
+// orders is held in memory. Each pair is stored in both directions because
+// confidence differs by direction and lookups go by product_id.
+const BUILD_PAIRS_SQL = `
+  INSERT INTO product_pairs (
+    product_id, related_product_id, pair_orders, product_orders, related_orders,
+    total_orders, support, confidence, lift, computed_at
+  )
+  WITH baskets AS (
+    SELECT DISTINCT order_id, product_id FROM order_items
+  ),
+  product_orders AS (
+    SELECT product_id, COUNT(*) AS orders FROM baskets GROUP BY product_id
+  ),
+  totals AS (
+    SELECT COUNT(DISTINCT order_id) AS orders FROM baskets
+  ),
+  pairs AS (
+    SELECT a.product_id, b.product_id AS related_product_id, COUNT(*) AS pair_orders
+    FROM baskets a
+    INNER JOIN baskets b ON b.order_id = a.order_id AND b.product_id <> a.product_id
+    GROUP BY a.product_id, b.product_id
+    HAVING COUNT(*) >= ?
+  )
+  SELECT
+    p.product_id,
+    p.related_product_id,
+    p.pair_orders,
+    pa.orders,
+    pb.orders,
+    t.orders,
+    1.0 * p.pair_orders / t.orders,
+    1.0 * p.pair_orders / pa.orders,
+    (1.0 * p.pair_orders * t.orders) / (1.0 * pa.orders * pb.orders),
+    ?
+  FROM pairs p
+  INNER JOIN product_orders pa ON pa.product_id = p.product_id
+  INNER JOIN product_orders pb ON pb.product_id = p.related_product_id
+  CROSS JOIN totals t
+`;
+
+const parseOptions = (argv) => {
+  const { options } = parseArgs(argv, {
+    'min-pair-orders': { type: 'integer', default: DEFAULT_MIN_PAIR_ORDERS },
+  });
+
+  if (options['min-pair-orders'] < 1) {
+    throw new Error(`--min-pair-orders must be at least 1, got ${options['min-pair-orders']}`);
+  }
+
+  return { minPairOrders: options['min-pair-orders'] };
+};
+
+export const buildProductPairs = async (argv = []) => {
+  let db;
+
+  try {
+    const { minPairOrders } = parseOptions(argv);
+    const config = getDatabaseConfig();
+    db = await openDatabase(config);
+    await migrateUp(db);
+
+    console.log(`Counting products bought together in at least ${minPairOrders} orders...`);
+    const startedAt = Date.now();
+    const computedAt = new Date().toISOString();
+
+    await db.transaction(async () => {
+      await db.run('DELETE FROM product_pairs');
+      await db.run(BUILD_PAIRS_SQL, [minPairOrders, computedAt]);
+    });
+
+    const [{ pairs }] = await db.all('SELECT COUNT(*) AS pairs FROM product_pairs');
+    console.log(
+      `Stored ${pairs} product pairs in ${((Date.now() - startedAt) / 1000).toFixed(2)}s.`
+    );
+  } finally {
+    if (db) {
+      try {
+        await db.close();
+      } catch (error) {
+        console.error('Error closing database connection:', error);
+      }
+    }
+  }
+};
+
+const main = async () => {
+  try {
+    await buildProductPairs(process.argv.slice(2));
+  } catch (error) {
+    console.error('Failed to build product pairs:', error);
+    process.exitCode = 1;
+  }
+};
+
+if (isMain(import.meta.url)) {
+  main();
+}
@@ -0,0 +1,382 @@
+import { isMain, parseArgs } from './lib/cli.js';
+import { getDatabaseConfig, openDatabase } from './lib/db/index.js';
+import { migrateUp } from './lib/migrations.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Payments can complete days after an order is placed, so every refresh also
+// rebuilds the facts for the last few days it has already seen. Older facts
+// only have their paid flag brought up to date, for orders with payments
+// loaded since the previous build (see SYNC_PAID_SQL).
+const DEFAULT_LOOKBACK_DAYS = 7;
+
+const isPaid = (orderColumn) => `
+  CASE
+    WHEN EXISTS (
+      SELECT 1
+      FROM payments pay
+      WHERE pay.order_id = ${orderColumn}
+        AND pay.payment_type = 'Charge'
+        AND pay.payment_status = 'Completed'
+    ) THEN 1
+    ELSE 0
+  END`;
+
+const DATE_COLUMNS = [
+  'date_key',
+  'date',
+  'year',
+  'quarter',
+  'month',
+  'month_key',
+  'day_of_month',
+  'day_of_week',
+  'day_name',
+  'is_weekend',
+];
+
+const AGGREGATE_COLUMNS = `
+  category, current_category, country, current_country, units, orders, paid_orders,
+  category_orders, current_category_orders, revenue_base, paid_revenue_base, discount_base,
+  cost_base`;
+
+// Stored payments never change, so only orders with a payment newer than the
+// last one the previous build saw can have gained or lost a completed charge.
+const NEW_PAYMENT_ORDERS = 'SELECT order_id FROM payments WHERE payment_id > ?';
+
+// Days with sales of a product or by a customer whose current category or
+// country no longer matches the dimensions, or of an order that has gained or
+// lost a completed charge since; their aggregates are rebuilt too.
+const MARK_CHANGED_DAYS_SQL = `
+  INSERT INTO warehouse_refresh_days (date_key)
+  SELECT DISTINCT f.date_key
+  FROM fact_sales f
+  WHERE f.date_key < ?
+    AND (
+      (f.order_id IN (${NEW_PAYMENT_ORDERS}) AND f.is_paid <> ${isPaid('f.order_id')})
+      OR f.product_key IN (
+        SELECT dp.product_key
+        FROM dim_product dp
+        INNER JOIN products p ON p.product_id = dp.product_id
+        WHERE p.category <> dp.current_category
+      )
+      OR f.customer_key IN (
+        SELECT dc.customer_key
+        FROM dim_customer dc
+        INNER JOIN customers c ON c.customer_id = dc.customer_id
+        WHERE c.country <> dc.current_country
+      )
+    )
+`;
+
+const SYNC_PAID_SQL = `
+  UPDATE fact_sales
+  SET is_paid = ${isPaid('fact_sales.order_id')}
+  WHERE date_key < ? AND order_id IN (${NEW_PAYMENT_ORDERS})
+`;
+
+const BUILD_DIM_CUSTOMER_SQL = `
+  INSERT INTO dim_customer (
+    customer_key, customer_id, name, email, country, signup_date, current_country,
+    valid_from, valid_to, is_current
+  )
+  SELECT
+    h.customer_history_id,
+    h.customer_id,
+    h.name,
+    h.email,
+    h.country,
+    c.signup_date,
+    c.country,
+    h.valid_from,
+    h.valid_to,
+    CASE WHEN h.valid_to IS NULL THEN 1 ELSE 0 END
+  FROM customer_history h
+  INNER JOIN customers c ON c.customer_id = h.customer_id
+`;
+
+const BUILD_DIM_PRODUCT_SQL = `
+  INSERT INTO dim_product (
+    product_key, product_id, product_name, category, price, unit_cost, current_product_name,
+    current_category, valid_from, valid_to, is_current
+  )
+  SELECT
+    h.product_history_id,
+    h.product_id,
+    h.product_name,
+    h.category,
+    h.price,
+    h.unit_cost,
+    p.product_name,
+    p.category,
+    h.valid_from,
+    h.valid_to,
+    CASE WHEN h.valid_to IS NULL THEN 1 ELSE 0 END
+  FROM product_history h
+  INNER JOIN products p ON p.product_id = h.product_id
+`;
+
+// Each line points at the customer and product versions valid when the order
+// was placed, falling back to the current version for orders older than the
+// history. Amounts are converted into the base currency at that day's rate.
+const BUILD_FACTS_SQL = `
+  INSERT INTO fact_sales (
+    order_item_id, order_id, date_key, customer_key, product_key, quantity, currency,
+    net_amount, net_amount_base, discount_amount_base, cost_amount_base, is_paid
+  )
+  SELECT
+    oi.order_item_id,
+    oi.order_id,
+    CAST(REPLACE(SUBSTR(o.order_date, 1, 10), '-', '') AS INTEGER),
+    COALESCE(dc.customer_key, cc.customer_key),
+    COALESCE(dp.product_key, cp.product_key),
+    oi.quantity,
+    oi.currency,
+    oi.quantity * oi.unit_price,
+    oi.quantity * oi.unit_price / r.rate,
+    oi.quantity * oi.discount_amount / r.rate,
+    oi.quantity * COALESCE(dp.unit_cost, cp.unit_cost),
+    ${isPaid('o.order_id')}
+  FROM order_items oi
+  INNER JOIN orders o ON o.order_id = oi.order_id
+  LEFT JOIN dim_customer dc ON dc.customer_id = o.customer_id
+    AND dc.valid_from <= o.order_date
+    AND (dc.valid_to IS NULL OR o.order_date < dc.valid_to)
+  LEFT JOIN dim_customer cc ON cc.customer_id = o.customer_id AND cc.is_current = 1
+  LEFT JOIN dim_product dp ON dp.product_id = oi.product_id
+    AND dp.valid_from <= o.order_date
+    AND (dp.valid_to IS NULL OR o.order_date < dp.valid_to)
+  LEFT JOIN dim_product cp ON cp.product_id = oi.product_id AND cp.is_current = 1
+  LEFT JOIN fx_rates r ON r.currency = oi.currency AND r.rate_date = SUBSTR(o.order_date, 1, 10)
+  WHERE o.order_date >= ?
+`;
+
+// One row per day and combination of category and country, as of the order
+// and now. Order counts are taken from one line per order (or per order and
+// category), so summing them over any of those columns counts each order once.
+const BUILD_DAILY_SQL = `
+  INSERT INTO agg_sales_daily (date_key, ${AGGREGATE_COLUMNS})
+  WITH lines AS (
+    SELECT
+      f.date_key,
+      dp.category,
+      dp.current_category,
+      dc.country,
+      dc.current_country,
+      f.quantity,
+      f.is_paid,
+      f.net_amount_base,
+      f.discount_amount_base,
+      f.cost_amount_base,
+      ROW_NUMBER() OVER (PARTITION BY f.order_id ORDER BY f.order_item_id) AS order_line,
+      ROW_NUMBER() OVER (
+        PARTITION BY f.order_id, dp.category ORDER BY f.order_item_id
+      ) AS category_line,
+      ROW_NUMBER() OVER (
+        PARTITION BY f.order_id, dp.current_category ORDER BY f.order_item_id
+      ) AS current_category_line
+    FROM fact_sales f
+    LEFT JOIN dim_product dp ON dp.product_key = f.product_key
+    LEFT JOIN dim_customer dc ON dc.customer_key = f.customer_key
+    WHERE f.date_key IN (SELECT date_key FROM warehouse_refresh_days)
+  )
+  SELECT
+    date_key,
+    category,
+    current_category,
+    country,
+    current_country,
+    SUM(quantity),
+    SUM(CASE WHEN order_line = 1 THEN 1 ELSE 0 END),
+    SUM(CASE WHEN order_line = 1 AND is_paid = 1 THEN 1 ELSE 0 END),
+    SUM(CASE WHEN category_line = 1 THEN 1 ELSE 0 END),
+    SUM(CASE WHEN current_category_line = 1 THEN 1 ELSE 0 END),
+    SUM(net_amount_base),
+    SUM(CASE WHEN is_paid = 1 THEN net_amount_base ELSE 0 END),
+    SUM(discount_amount_base),
+    SUM(cost_amount_base)
+  FROM lines
+  GROUP BY date_key, category, current_category, country, current_country
+`;
+
+// Reports compare the newest load covered here with load_history to tell
+// whether the warehouse is up to date.
+const recordBuild = (db, fullBuild) =>
+  db.run(
+    `INSERT INTO warehouse_builds (load_id, last_payment_id, full_build, built_at)
+    SELECT
+      (SELECT MAX(load_id) FROM load_history),
+      (SELECT MAX(payment_id) FROM payments),
+      ?,
+      ?`,
+    [fullBuild ? 1 : 0, new Date().toISOString()]
+  );
+
+const toDateKey = (day) => Number(day.replaceAll('-', ''));
+
+const fromDateKey = (dateKey) => {
+  const key = String(dateKey);
+  return `${key.slice(0, 4)}-${key.slice(4, 6)}-${key.slice(6, 8)}`;
+};
+
+const addDays = (day, days) =>
+  new Date(Date.parse(day) + days * DAY_MS).toISOString().slice(0, 10);
+
+function* calendarDays(firstDay, lastDay) {
+  for (let day = firstDay; day <= lastDay; day = addDays(day, 1)) {
+    const date = new Date(day);
+    const month = date.getUTCMonth() + 1;
+    const weekday = date.getUTCDay();
+
+    yield {
+      date_key: toDateKey(day),
+      date: day,
+      year: date.getUTCFullYear(),
+      quarter: Math.ceil(month / 3),
+      month,
+      month_key: day.slice(0, 7),
+      day_of_month: date.getUTCDate(),
+      // ISO numbering, Monday is 1 and Sunday is 7.
+      day_of_week: weekday || 7,
+      day_name: DAY_NAMES[weekday],
+      is_weekend: weekday === 0 || weekday === 6 ? 1 : 0,
+    };
+  }
+}
+
+const parseOptions = (argv) => {
+  const { options } = parseArgs(argv, {
+    full: { type: 'boolean' },
+    'lookback-days': { type: 'integer', default: DEFAULT_LOOKBACK_DAYS },
+  });
+
+  if (options['lookback-days'] < 0) {
+    throw new Error(`--lookback-days must not be negative, got ${options['lookback-days']}`);
+  }
+
+  return { full: Boolean(options.full), lookbackDays: options['lookback-days'] };
+};
+
+// Facts are rebuilt from the earliest order line not in fact_sales yet, or the
+// lookback window, whichever starts first. A first run or --full rebuilds
+// everything, which is also the way to pick up corrections to older data.
+const refreshStart = async (db, { full, lookbackDays }, firstDay) => {
+  const [{ last_date_key: lastDateKey }] = await db.all(
+    'SELECT MAX(date_key) AS last_date_key FROM fact_sales'
+  );
+  if (full || lastDateKey === null) {
+    return firstDay;
+  }
+
+  const [{ first_new_day: firstNewDay }] = await db.all(`
+    SELECT MIN(SUBSTR(o.order_date, 1, 10)) AS first_new_day
+    FROM order_items oi
+    INNER JOIN orders o ON o.order_id = oi.order_id
+    WHERE NOT EXISTS (SELECT 1 FROM fact_sales f WHERE f.order_item_id = oi.order_item_id)
+  `);
+  const lookbackStart = addDays(fromDateKey(lastDateKey), -lookbackDays);
+
+  return firstNewDay && firstNewDay < lookbackStart ? firstNewDay : lookbackStart;
+};
+
+export const buildWarehouse = async (argv = []) => {
+  let db;
+
+  try {
+    const options = parseOptions(argv);
+    const config = getDatabaseConfig();
+    db = await openDatabase(config);
+    await migrateUp(db);
+
+    const startedAt = Date.now();
+    const [{ first_day: firstDay, last_day: lastDay }] = await db.all(`
+      SELECT
+        MIN(SUBSTR(order_date, 1, 10)) AS first_day,
+        MAX(SUBSTR(order_date, 1, 10)) AS last_day
+      FROM orders
+    `);
+    if (!firstDay) {
+      console.log('No orders loaded yet, nothing to build.');
+      await recordBuild(db, true);
+      return;
+    }
+
+    await db.bulkInsert({
+      tableName: 'dim_date',
+      columns: DATE_COLUMNS,
+      primaryKey: 'date_key',
+      rows: calendarDays(firstDay, lastDay),
+    });
+
+    const startDay = await refreshStart(db, options, firstDay);
+    const startKey = toDateKey(startDay);
+    console.log(
+      startDay === firstDay
+        ? 'Building the warehouse from all orders...'
+        : `Refreshing the warehouse from ${startDay}...`
+    );
+
+    await db.transaction(async () => {
+      await db.run('DELETE FROM warehouse_refresh_days');
+      const [{ last_payment_id: lastPaymentId }] = await db.all(
+        'SELECT COALESCE(MAX(last_payment_id), 0) AS last_payment_id FROM warehouse_builds'
+      );
+      await db.run(MARK_CHANGED_DAYS_SQL, [startKey, lastPaymentId]);
+      await db.run(SYNC_PAID_SQL, [startKey, lastPaymentId]);
+
+      await db.run('DELETE FROM dim_customer');
+      await db.run(BUILD_DIM_CUSTOMER_SQL);
+      await db.run('DELETE FROM dim_product');
+      await db.run(BUILD_DIM_PRODUCT_SQL);
+
+      await db.run('DELETE FROM fact_sales WHERE date_key >= ?', [startKey]);
+      await db.run(BUILD_FACTS_SQL, [startDay]);
+      await db.run(
+        `INSERT INTO warehouse_refresh_days (date_key)
+        SELECT DISTINCT date_key FROM fact_sales WHERE date_key >= ?`,
+        [startKey]
+      );
+
+      await db.run(
+        `DELETE FROM agg_sales_daily
+        WHERE date_key >= ? OR date_key IN (SELECT date_key FROM warehouse_refresh_days)`,
+        [startKey]
+      );
+      await db.run(BUILD_DAILY_SQL);
+
+      await recordBuild(db, startDay === firstDay);
+    });
+
+    const [{ facts, days }] = await db.all(`
+      SELECT
+        (SELECT COUNT(*) FROM fact_sales) AS facts,
+        (SELECT COUNT(*) FROM warehouse_refresh_days) AS days
+    `);
+    console.log(
+      `Warehouse holds ${facts} sales lines; refreshed ${days} days in ` +
+        `${((Date.now() - startedAt) / 1000).toFixed(2)}s.`
+    );
+  } finally {
+    if (db) {
+      try {
+        await db.close();
+      } catch (error) {
+        console.error('Error closing database connection:', error);
+      }
+    }
+  }
+};
+
+const main = async () => {
+  try {
+    await buildWarehouse(process.argv.slice(2));
+  } catch (error) {
+    console.error('Failed to build the warehouse:', error);
+    process.exitCode = 1;
+  }
+};
+
+if (isMain(import.meta.url)) {
+  main();
+}
@@ -1,94 +1,50 @@
+import { createHash } from 'crypto';
 import { createReadStream } from 'fs';
-import { mkdir, rm } from 'fs/promises';
+import { access, mkdir, rm } from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import sqlite3 from 'sqlite3';
 import csv from 'csv-parser';
+import { checksumFile } from './lib/checksum.js';
+import { isMain, parseArgs } from './lib/cli.js';
+import { createCsvWriter } from './lib/csv.js';
+import { getDatabaseConfig, openDatabase, removeDatabase } from './lib/db/index.js';
+import { migrateUp } from './lib/migrations.js';
+import { createValidator, describeRowChange, loadExistingKeys } from './lib/validation.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const DATA_DIR = path.join(__dirname, 'data');
-const DB_PATH = path.join(__dirname, 'ecommerce.db');
-
-const sqlite = sqlite3.verbose();
-
-const openDatabase = (filePath) =>
-  new Promise((resolve, reject) => {
-    const db = new sqlite.Database(filePath, (error) => {
-      if (error) {
-        reject(error);
-      } else {
-        resolve(db);
-      }
-    });
-  });
-
-const closeDatabase = (db) =>
-  new Promise((resolve, reject) => {
-    db.close((error) => {
-      if (error) {
-        reject(error);
-      } else {
-        resolve();
-      }
-    });
-  });
-
-const runQuery = (db, sql, params = []) =>
-  new Promise((resolve, reject) => {
-    db.run(sql, params, function (error) {
-      if (error) {
-        reject(error);
-      } else {
-        resolve(this);
-      }
-    });
-  });
-
-const execQuery = (db, sql) =>
-  new Promise((resolve, reject) => {
-    db.exec(sql, (error) => {
-      if (error) {
-        reject(error);
-      } else {
-        resolve();
-      }
-    });
-  });
-
-const loadCsv = (fileName, converters = {}) =>
-  new Promise((resolve, reject) => {
-    const filePath = path.join(DATA_DIR, fileName);
-    const rows = [];
-
-    const stream = createReadStream(filePath).pipe(
-      csv({
-        mapHeaders: ({ header }) => header.trim(),
-        mapValues: ({ value }) => (typeof value === 'string' ? value.trim() : value),
-      })
-    );
-
-    stream
-      .on('data', (rawRow) => {
-        try {
-          const convertedRow = Object.fromEntries(
-            Object.entries(rawRow).map(([key, value]) => {
-              const converter = converters[key];
-              return [key, converter ? converter(value) : value];
-            })
-          );
-          rows.push(convertedRow);
-        } catch (error) {
-          stream.destroy(
-            new Error(
-              `Failed to convert row in ${fileName}: ${error instanceof Error ? error.message : String(error)}`
-            )
-          );
-        }
-      })
-      .on('end', () => resolve(rows))
-      .on('error', (error) => reject(error));
-  });
+const DEFAULT_MAX_REJECT_RATE = 0.05;
+const STORED_ROW_BATCH = 200;
+
+const convertRow = (rawRow, converters) =>
+  Object.fromEntries(
+    Object.entries(rawRow).map(([key, value]) => {
+      const converter = converters[key];
+      return [key, converter ? converter(value) : value];
+    })
+  );
+
+// Streams a CSV file one converted row at a time. Rows that fail conversion are
+// yielded with the raw values and an error instead of aborting the file.
+async function* readCsv(filePath, converters = {}) {
+  const stream = createReadStream(filePath).pipe(
+    csv({
+      mapHeaders: ({ header }) => header.trim(),
+      mapValues: ({ value }) => (typeof value === 'string' ? value.trim() : value),
+    })
+  );
+
+  for await (const rawRow of stream) {
+    let converted;
+    try {
+      converted = { row: convertRow(rawRow, converters), error: null };
+    } catch (error) {
+      converted = { row: rawRow, error: error instanceof Error ? error.message : String(error) };
+    }
+    yield converted;
+  }
+}
 
 const toInteger = (value, fieldName) => {
   const result = Number.parseInt(value, 10);
@@ -106,191 +62,570 @@ const toFloat = (value, fieldName) => {
   return result;
 };
 
-const createTables = async (db) => {
-  const dropStatements = [
-    'DROP TABLE IF EXISTS payments;',
-    'DROP TABLE IF EXISTS order_items;',
-    'DROP TABLE IF EXISTS orders;',
-    'DROP TABLE IF EXISTS products;',
-    'DROP TABLE IF EXISTS customers;',
-  ];
-
-  const createStatements = [
-    `CREATE TABLE IF NOT EXISTS customers (
-      customer_id INTEGER PRIMARY KEY,
-      name TEXT NOT NULL,
-      email TEXT NOT NULL,
-      signup_date TEXT NOT NULL,
-      country TEXT NOT NULL
-    );`,
-    `CREATE TABLE IF NOT EXISTS products (
-      product_id INTEGER PRIMARY KEY,
-      product_name TEXT NOT NULL,
-      category TEXT NOT NULL,
-      price REAL NOT NULL,
-      stock_quantity INTEGER NOT NULL
-    );`,
-    `CREATE TABLE IF NOT EXISTS orders (
-      order_id INTEGER PRIMARY KEY,
-      customer_id INTEGER NOT NULL,
-      order_date TEXT NOT NULL,
-      total_amount REAL NOT NULL,
-      FOREIGN KEY (customer_id) REFERENCES customers(customer_id) ON DELETE CASCADE ON UPDATE CASCADE
-    );`,
-    `CREATE TABLE IF NOT EXISTS order_items (
-      order_item_id INTEGER PRIMARY KEY,
-      order_id INTEGER NOT NULL,
-      product_id INTEGER NOT NULL,
-      quantity INTEGER NOT NULL,
-      unit_price REAL NOT NULL,
-      FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE ON UPDATE CASCADE,
-      FOREIGN KEY (product_id) REFERENCES products(product_id) ON DELETE RESTRICT ON UPDATE CASCADE
-    );`,
-    `CREATE TABLE IF NOT EXISTS payments (
-      payment_id INTEGER PRIMARY KEY,
-      order_id INTEGER NOT NULL,
-      payment_method TEXT NOT NULL,
-      payment_status TEXT NOT NULL,
-      payment_date TEXT NOT NULL,
-      FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE ON UPDATE CASCADE
-    );`,
-  ];
-
-  for (const statement of dropStatements) {
-    await runQuery(db, statement);
+const toOptionalInteger = (value, fieldName) =>
+  value === '' ? null : toInteger(value, fieldName);
+
+const toOptionalFloat = (value, fieldName) => (value === '' ? null : toFloat(value, fieldName));
+
+const text = (value) => value;
+
+const optionalText = (value) => (value === '' ? null : value);
+
+const TABLES = [
+  {
+    tableName: 'customers',
+    fileName: 'customers.csv',
+    primaryKey: 'customer_id',
+    converters: {
+      customer_id: (value) => toInteger(value, 'customer_id'),
+      name: text,
+      email: text,
+      signup_date: text,
+      country: text,
+    },
+  },
+  {
+    tableName: 'customer_history',
+    fileName: 'customer_history.csv',
+    primaryKey: 'customer_history_id',
+    converters: {
+      customer_history_id: (value) => toInteger(value, 'customer_history_id'),
+      customer_id: (value) => toInteger(value, 'customer_id'),
+      name: text,
+      email: text,
+      country: text,
+      valid_from: text,
+      valid_to: optionalText,
+    },
+  },
+  {
+    tableName: 'products',
+    fileName: 'products.csv',
+    primaryKey: 'product_id',
+    converters: {
+      product_id: (value) => toInteger(value, 'product_id'),
+      product_name: text,
+      category: text,
+      price: (value) => toFloat(value, 'price'),
+      unit_cost: (value) => toOptionalFloat(value, 'unit_cost'),
+      stock_quantity: (value) => toInteger(value, 'stock_quantity'),
+    },
+  },
+  {
+    tableName: 'product_history',
+    fileName: 'product_history.csv',
+    primaryKey: 'product_history_id',
+    converters: {
+      product_history_id: (value) => toInteger(value, 'product_history_id'),
+      product_id: (value) => toInteger(value, 'product_id'),
+      product_name: text,
+      category: text,
+      price: (value) => toFloat(value, 'price'),
+      unit_cost: (value) => toOptionalFloat(value, 'unit_cost'),
+      valid_from: text,
+      valid_to: optionalText,
+    },
+  },
+  {
+    tableName: 'promotions',
+    fileName: 'promotions.csv',
+    primaryKey: 'promotion_id',
+    converters: {
+      promotion_id: (value) => toInteger(value, 'promotion_id'),
+      promotion_code: optionalText,
+      promotion_type: text,
+      category: optionalText,
+      discount_percent: (value) => toOptionalFloat(value, 'discount_percent'),
+      discount_amount: (value) => toOptionalFloat(value, 'discount_amount'),
+      min_order_amount: (value) => toOptionalFloat(value, 'min_order_amount'),
+      buy_quantity: (value) => toOptionalInteger(value, 'buy_quantity'),
+      get_quantity: (value) => toOptionalInteger(value, 'get_quantity'),
+      starts_on: text,
+      ends_on: text,
+    },
+  },
+  {
+    tableName: 'fx_rates',
+    fileName: 'fx_rates.csv',
+    primaryKey: ['rate_date', 'currency'],
+    converters: {
+      rate_date: text,
+      currency: text,
+      rate: (value) => toFloat(value, 'rate'),
+    },
+  },
+  {
+    tableName: 'orders',
+    fileName: 'orders.csv',
+    primaryKey: 'order_id',
+    converters: {
+      order_id: (value) => toInteger(value, 'order_id'),
+      customer_id: (value) => toInteger(value, 'customer_id'),
+      order_date: text,
+      coupon_id: (value) => toOptionalInteger(value, 'coupon_id'),
+      total_amount: (value) => toFloat(value, 'total_amount'),
+      currency: text,
+    },
+  },
+  {
+    tableName: 'order_items',
+    fileName: 'order_items.csv',
+    primaryKey: 'order_item_id',
+    converters: {
+      order_item_id: (value) => toInteger(value, 'order_item_id'),
+      order_id: (value) => toInteger(value, 'order_id'),
+      product_id: (value) => toInteger(value, 'product_id'),
+      quantity: (value) => toInteger(value, 'quantity'),
+      list_price: (value) => toFloat(value, 'list_price'),
+      discount_amount: (value) => toFloat(value, 'discount_amount'),
+      unit_price: (value) => toFloat(value, 'unit_price'),
+      promotion_id: (value) => toOptionalInteger(value, 'promotion_id'),
+      currency: text,
+    },
+  },
+  {
+    tableName: 'payments',
+    fileName: 'payments.csv',
+    primaryKey: 'payment_id',
+    converters: {
+      payment_id: (value) => toInteger(value, 'payment_id'),
+      order_id: (value) => toInteger(value, 'order_id'),
+      parent_payment_id: (value) => toOptionalInteger(value, 'parent_payment_id'),
+      payment_type: text,
+      payment_method: text,
+      payment_status: text,
+      amount: (value) => toFloat(value, 'amount'),
+      currency: text,
+      payment_date: text,
+    },
+  },
+  {
+    tableName: 'inventory_movements',
+    fileName: 'inventory_movements.csv',
+    primaryKey: 'movement_id',
+    converters: {
+      movement_id: (value) => toInteger(value, 'movement_id'),
+      product_id: (value) => toInteger(value, 'product_id'),
+      order_item_id: (value) => toOptionalInteger(value, 'order_item_id'),
+      movement_type: text,
+      quantity: (value) => toInteger(value, 'quantity'),
+      movement_date: text,
+    },
+  },
+  {
+    tableName: 'shipments',
+    fileName: 'shipments.csv',
+    primaryKey: 'shipment_id',
+    converters: {
+      shipment_id: (value) => toInteger(value, 'shipment_id'),
+      order_id: (value) => toInteger(value, 'order_id'),
+      carrier: text,
+      tracking_number: text,
+      shipped_at: text,
+      delivered_at: optionalText,
+    },
+  },
+  {
+    tableName: 'order_status_history',
+    fileName: 'order_status_history.csv',
+    primaryKey: 'status_id',
+    converters: {
+      status_id: (value) => toInteger(value, 'status_id'),
+      order_id: (value) => toInteger(value, 'order_id'),
+      status: text,
+      status_date: text,
+    },
+  },
+  {
+    tableName: 'returns',
+    fileName: 'returns.csv',
+    primaryKey: 'return_id',
+    converters: {
+      return_id: (value) => toInteger(value, 'return_id'),
+      order_item_id: (value) => toInteger(value, 'order_item_id'),
+      quantity: (value) => toInteger(value, 'quantity'),
+      return_reason: text,
+      requested_at: text,
+      received_at: optionalText,
+      refund_payment_id: (value) => toOptionalInteger(value, 'refund_payment_id'),
+    },
+  },
+];
+
+const TABLES_BY_NAME = Object.fromEntries(TABLES.map((table) => [table.tableName, table]));
+
+// Rejected sales or products leave gaps in the movement history, so a
+// mismatch is only fatal when every inventory row made it into the database.
+const verifyInventory = async (db, { strict }) => {
+  const mismatches = await db.all(
+    `SELECT
+      p.product_id,
+      p.stock_quantity,
+      COALESCE(SUM(m.quantity), 0) AS movement_balance
+    FROM products p
+    LEFT JOIN inventory_movements m ON m.product_id = p.product_id
+    GROUP BY p.product_id, p.stock_quantity
+    HAVING p.stock_quantity <> COALESCE(SUM(m.quantity), 0) OR MIN(m.quantity) IS NULL`
+  );
+
+  if (!mismatches.length) {
+    return;
   }
 
-  for (const statement of createStatements) {
-    await runQuery(db, statement);
+  const message = `${mismatches.length} products have a stock_quantity that does not match their movement history`;
+  console.table(mismatches.slice(0, 10));
+  if (strict) {
+    throw new Error(`Inventory check failed: ${message}`);
   }
+  console.warn(`Inventory check warning: ${message} because rows were rejected.`);
 };
 
-const insertData = async (db, tableName, columns, rows) => {
-  if (!rows.length) {
-    console.warn(`No rows to insert for ${tableName}. Skipping.`);
-    return;
+async function* acceptedRows(file) {
+  let index = 0;
+  for await (const { row, error } of readCsv(file.filePath, file.converters)) {
+    if (!error && !file.rejected.has(index)) {
+      yield row;
+    }
+    index += 1;
   }
+}
+
+// A full load rebuilds the database from scratch, so durability is traded for
+// speed and secondary indexes are rebuilt once the table is populated. An
+// incremental load writes into existing history and keeps durable journaling.
+const loadTable = async (db, file, { incremental }) => {
+  const droppedIndexes = incremental ? [] : await db.dropSecondaryIndexes(file.tableName);
+  const startedAt = Date.now();
+
+  const insertedRows = await db.bulkInsert({
+    tableName: file.tableName,
+    columns: Object.keys(file.converters),
+    primaryKey: file.primaryKey,
+    rows: acceptedRows(file),
+  });
 
-  const placeholders = columns.map(() => '?').join(', ');
-  const sql = `INSERT INTO ${tableName} (${columns.join(', ')}) VALUES (${placeholders})`;
+  await db.createIndexes(droppedIndexes);
 
-  await runQuery(db, 'BEGIN TRANSACTION');
+  const seconds = Math.max((Date.now() - startedAt) / 1000, 0.001);
+  console.log(
+    `Loaded ${insertedRows} rows into ${file.tableName} in ${seconds.toFixed(2)}s (${Math.round(insertedRows / seconds)} rows/s${droppedIndexes.length ? `, ${droppedIndexes.length} indexes rebuilt` : ''}).`
+  );
 
-  try {
-    for (const row of rows) {
-      const values = columns.map((column) => row[column]);
-      await runQuery(db, sql, values);
+  return insertedRows;
+};
+
+const isAlreadyLoaded = async (db, fileName, checksum) => {
+  const rows = await db.all(
+    'SELECT batch_id, loaded_at FROM load_history WHERE file_name = ? AND checksum = ?',
+    [fileName, checksum]
+  );
+  return rows[0];
+};
+
+const recordLoad = (db, { batchId, fileName, checksum, rowCount, rejectedCount }) =>
+  db.run(
+    `INSERT INTO load_history (batch_id, file_name, checksum, row_count, rejected_count, loaded_at)
+    VALUES (?, ?, ?, ?, ?, ?)`,
+    [batchId, fileName, checksum, rowCount, rejectedCount, new Date().toISOString()]
+  );
+
+const createRejectRecorder = (rejectsDir) => {
+  const writers = new Map();
+
+  const reject = async (file, index, row, reason) => {
+    file.rejected.add(index);
+
+    if (!writers.has(file.fileName)) {
+      await mkdir(rejectsDir, { recursive: true });
+      const headers = [...Object.keys(file.converters), 'reason'];
+      writers.set(file.fileName, createCsvWriter(path.join(rejectsDir, file.fileName), headers));
+    }
+    await writers.get(file.fileName).write({ ...row, reason });
+  };
+
+  const close = async () => {
+    for (const [fileName, writer] of writers) {
+      await writer.close();
+      console.warn(`Rejected ${writer.rowCount} rows from ${fileName}, see ${writer.filePath}`);
+    }
+  };
+
+  return { reject, close };
+};
+
+// Validation streams each file and keeps only keys, totals and the indexes of
+// rejected rows, which the insert pass later skips.
+const validateFiles = async (files, validator, rejects) => {
+  const scan = async (file, checkRow) => {
+    let index = 0;
+    for await (const { row, error } of readCsv(file.filePath, file.converters)) {
+      const reason = file.rejected.has(index) ? null : error ?? checkRow(row);
+      if (reason) {
+        await rejects.reject(file, index, row, reason);
+      }
+      index += 1;
+    }
+    return index;
+  };
+
+  const byTable = Object.fromEntries(files.map((file) => [file.tableName, file]));
+
+  for (const tableName of [
+    'customers',
+    'customer_history',
+    'products',
+    'product_history',
+    'promotions',
+    'fx_rates',
+    'orders',
+    'order_items',
+  ]) {
+    if (byTable[tableName]) {
+      byTable[tableName].rowCount = await scan(byTable[tableName], (row) =>
+        validator.check(tableName, row)
+      );
+    }
+  }
+
+  if (byTable.orders) {
+    await scan(byTable.orders, (row) => validator.checkOrderTotal(row));
+  }
+  if (byTable.order_items && validator.mismatchedOrderCount) {
+    await scan(byTable.order_items, (row) => validator.checkOrderItemParent(row));
+  }
+
+  for (const tableName of [
+    'payments',
+    'inventory_movements',
+    'shipments',
+    'order_status_history',
+    'returns',
+  ]) {
+    if (byTable[tableName]) {
+      byTable[tableName].rowCount = await scan(byTable[tableName], (row) =>
+        validator.check(tableName, row)
+      );
     }
-    await runQuery(db, 'COMMIT');
-  } catch (error) {
-    await runQuery(db, 'ROLLBACK');
-    throw error;
   }
 };
 
-const main = async () => {
-  let db;
+const storedRowsQuery = (tableName, columns, keyColumns, rowCount) => {
+  const select = `SELECT ${columns.join(', ')} FROM ${tableName}`;
+  if (keyColumns.length === 1) {
+    return `${select} WHERE ${keyColumns[0]} IN (${Array(rowCount).fill('?').join(', ')})`;
+  }
+  const match = `(${keyColumns.map((column) => `${column} = ?`).join(' AND ')})`;
+  return `${select} WHERE ${Array(rowCount).fill(match).join(' OR ')}`;
+};
 
-  try {
-    console.log('Preparing ecommerce database setup...');
-    await mkdir(DATA_DIR, { recursive: true });
-    await rm(DB_PATH, { force: true });
-
-    db = await openDatabase(DB_PATH);
-    await execQuery(db, 'PRAGMA foreign_keys = ON;');
-
-    console.log('Creating tables...');
-    await createTables(db);
-    console.log('Tables created successfully.');
-
-    console.log('Loading CSV data...');
-    const [customers, products, orders, orderItems, payments] = await Promise.all([
-      loadCsv('customers.csv', {
-        customer_id: (value) => toInteger(value, 'customer_id'),
-        name: (value) => value,
-        email: (value) => value,
-        signup_date: (value) => value,
-        country: (value) => value,
-      }),
-      loadCsv('products.csv', {
-        product_id: (value) => toInteger(value, 'product_id'),
-        product_name: (value) => value,
-        category: (value) => value,
-        price: (value) => toFloat(value, 'price'),
-        stock_quantity: (value) => toInteger(value, 'stock_quantity'),
-      }),
-      loadCsv('orders.csv', {
-        order_id: (value) => toInteger(value, 'order_id'),
-        customer_id: (value) => toInteger(value, 'customer_id'),
-        order_date: (value) => value,
-        total_amount: (value) => toFloat(value, 'total_amount'),
-      }),
-      loadCsv('order_items.csv', {
-        order_item_id: (value) => toInteger(value, 'order_item_id'),
-        order_id: (value) => toInteger(value, 'order_id'),
-        product_id: (value) => toInteger(value, 'product_id'),
-        quantity: (value) => toInteger(value, 'quantity'),
-        unit_price: (value) => toFloat(value, 'unit_price'),
-      }),
-      loadCsv('payments.csv', {
-        payment_id: (value) => toInteger(value, 'payment_id'),
-        order_id: (value) => toInteger(value, 'order_id'),
-        payment_method: (value) => value,
-        payment_status: (value) => value,
-        payment_date: (value) => value,
-      }),
-    ]);
-    console.log('CSV data loaded.');
-
-    console.log('Inserting customers...');
-    await insertData(
-      db,
-      'customers',
-      ['customer_id', 'name', 'email', 'signup_date', 'country'],
-      customers
+// Before an incremental load is validated, rows whose key is already stored
+// are compared with the stored row in batches, and rejected if they differ.
+const rejectChangedRows = async (db, files, rejects) => {
+  for (const file of files) {
+    const columns = Object.keys(file.converters);
+    const keyColumns = [file.primaryKey].flat();
+    const keyOf = (row) => keyColumns.map((column) => row[column]).join('/');
+    let batch = [];
+
+    const compareBatch = async () => {
+      const stored = await db.all(
+        storedRowsQuery(file.tableName, columns, keyColumns, batch.length),
+        batch.flatMap(({ row }) => keyColumns.map((column) => row[column]))
+      );
+      const storedByKey = new Map(stored.map((row) => [keyOf(row), row]));
+
+      for (const { index, row } of batch) {
+        const storedRow = storedByKey.get(keyOf(row));
+        const reason = storedRow && describeRowChange(storedRow, row, columns, keyColumns);
+        if (reason) {
+          await rejects.reject(file, index, row, reason);
+        }
+      }
+      batch = [];
+    };
+
+    let index = 0;
+    for await (const { row, error } of readCsv(file.filePath, file.converters)) {
+      if (!error) {
+        batch.push({ index, row });
+      }
+      if (batch.length === STORED_ROW_BATCH) {
+        await compareBatch();
+      }
+      index += 1;
+    }
+    if (batch.length) {
+      await compareBatch();
+    }
+  }
+};
+
+const checkRejectRates = (files, maxRejectRate) => {
+  const exceeded = files.filter((file) => file.rejected.size > maxRejectRate * file.rowCount);
+
+  if (exceeded.length) {
+    const summary = exceeded
+      .map((file) => `${file.fileName} (${file.rejected.size} rejected)`)
+      .join(', ');
+    throw new Error(
+      `Reject rate above --max-reject-rate ${maxRejectRate} for ${summary}; nothing was loaded`
     );
+  }
+};
+
+// Checked before anything is removed, so a missing file leaves the existing
+// database untouched.
+const checkDataFiles = async (dataDir) => {
+  const missing = [];
+  for (const { fileName } of TABLES) {
+    try {
+      await access(path.join(dataDir, fileName));
+    } catch {
+      missing.push(fileName);
+    }
+  }
 
-    console.log('Inserting products...');
-    await insertData(
-      db,
-      'products',
-      ['product_id', 'product_name', 'category', 'price', 'stock_quantity'],
-      products
+  if (missing.length) {
+    throw new Error(
+      `Missing ${missing.join(', ')} in ${dataDir}; run npm run generate-data first`
     );
+  }
+};
+
+const parseOptions = (argv) => {
+  const { options } = parseArgs(argv, {
+    incremental: { type: 'boolean' },
+    'data-dir': { type: 'string', default: DATA_DIR },
+    'batch-id': { type: 'string' },
+    'max-reject-rate': { type: 'number', default: DEFAULT_MAX_REJECT_RATE },
+  });
 
-    console.log('Inserting orders...');
-    await insertData(
-      db,
-      'orders',
-      ['order_id', 'customer_id', 'order_date', 'total_amount'],
-      orders
+  if (options['max-reject-rate'] < 0 || options['max-reject-rate'] > 1) {
+    throw new Error(
+      `--max-reject-rate must be between 0 and 1, got ${options['max-reject-rate']}`
     );
+  }
+
+  return {
+    incremental: options.incremental,
+    dataDir: path.resolve(options['data-dir']),
+    batchId: options['batch-id'],
+    maxRejectRate: options['max-reject-rate'],
+  };
+};
+
+export const createDatabase = async (argv = []) => {
+  const config = getDatabaseConfig();
+  let db;
+
+  try {
+    const options = parseOptions(argv);
 
-    console.log('Inserting order items...');
-    await insertData(
-      db,
-      'order_items',
-      ['order_item_id', 'order_id', 'product_id', 'quantity', 'unit_price'],
-      orderItems
+    console.log(
+      `Preparing ${config.client} database setup (${options.incremental ? 'incremental' : 'full'} load)...`
     );
+    await mkdir(options.dataDir, { recursive: true });
+    await checkDataFiles(options.dataDir);
+    if (!options.incremental) {
+      await removeDatabase(config);
+    }
+
+    db = await openDatabase(config);
 
-    console.log('Inserting payments...');
-    await insertData(
-      db,
-      'payments',
-      ['payment_id', 'order_id', 'payment_method', 'payment_status', 'payment_date'],
-      payments
+    console.log('Applying schema migrations...');
+    await migrateUp(db);
+    console.log('Schema is up to date.');
+
+    const files = await Promise.all(
+      TABLES.map(async (table) => {
+        const filePath = path.join(options.dataDir, table.fileName);
+        return { ...table, filePath, checksum: await checksumFile(filePath) };
+      })
     );
+    const batchId =
+      options.batchId ??
+      createHash('sha256')
+        .update(files.map((file) => file.checksum).join(''))
+        .digest('hex')
+        .slice(0, 16);
+
+    const pendingFiles = [];
+
+    for (const file of files) {
+      const previousLoad = await isAlreadyLoaded(db, file.fileName, file.checksum);
+      if (previousLoad) {
+        console.log(
+          `Skipping ${file.fileName}: already applied in batch ${previousLoad.batch_id} at ${previousLoad.loaded_at}.`
+        );
+      } else {
+        pendingFiles.push(file);
+      }
+    }
 
-    console.log('Database population completed successfully.');
-  } catch (error) {
-    console.error('Failed to set up ecommerce database:', error);
-    process.exitCode = 1;
+    if (!pendingFiles.length) {
+      console.log(`Nothing to load: every file in batch ${batchId} was already applied.`);
+      return;
+    }
+
+    console.log('Validating CSV data...');
+    const rejectsDir = path.join(options.dataDir, 'rejects');
+    await rm(rejectsDir, { recursive: true, force: true });
+
+    const rejects = createRejectRecorder(rejectsDir);
+    const validator = createValidator({
+      tables: TABLES_BY_NAME,
+      existing: await loadExistingKeys(db),
+    });
+    for (const file of pendingFiles) {
+      file.rejected = new Set();
+    }
+    try {
+      if (options.incremental) {
+        await rejectChangedRows(db, pendingFiles, rejects);
+      }
+      await validateFiles(pendingFiles, validator, rejects);
+    } finally {
+      await rejects.close();
+    }
+
+    checkRejectRates(pendingFiles, options.maxRejectRate);
+
+    await db.beginBulkLoad({ durable: options.incremental });
+
+    // The whole batch is one transaction, so a load or inventory check that
+    // fails leaves the database as it was; the journal settings are restored
+    // either way.
+    try {
+      await db.transaction(async () => {
+        for (const file of pendingFiles) {
+          const rowCount = await loadTable(db, file, options);
+          await recordLoad(db, {
+            batchId,
+            fileName: file.fileName,
+            checksum: file.checksum,
+            rowCount,
+            rejectedCount: file.rejected.size,
+          });
+        }
+
+        console.log('Verifying stock levels against inventory movements...');
+        await verifyInventory(db, {
+          strict: pendingFiles.every(
+            (file) =>
+              !['products', 'inventory_movements'].includes(file.tableName) || !file.rejected.size
+          ),
+        });
+      });
+    } finally {
+      await db.endBulkLoad();
+    }
+
+    console.log(`Database population completed successfully (batch ${batchId}).`);
   } finally {
     if (db) {
       try {
-        await closeDatabase(db);
-        console.log(`Closed database connection at ${DB_PATH}.`);
+        await db.close();
+        console.log(`Closed database connection at ${config.filePath}.`);
       } catch (error) {
         console.error('Error closing database connection:', error);
       }
@@ -298,5 +633,15 @@ const main = async () => {
   }
 };
 
-main();
+const main = async () => {
+  try {
+    await createDatabase(process.argv.slice(2));
+  } catch (error) {
+    console.error('Failed to set up ecommerce database:', error);
+    process.exitCode = 1;
+  }
+};
 
+if (isMain(import.meta.url)) {
+  main();
+}
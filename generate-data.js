@@ -1,62 +1,278 @@
-import { mkdir, writeFile } from 'fs/promises';
+import { access, mkdir } from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { faker } from '@faker-js/faker';
+import {
+  createWeightedSampler,
+  DEFAULT_BEHAVIOR,
+  loadBehavior,
+  paretoWeight,
+} from './lib/behavior.js';
+import { isMain, parseArgs } from './lib/cli.js';
+import { createCsvWriter } from './lib/csv.js';
+import { currencyForCountry, generateExchangeRates } from './lib/currencies.js';
+import { getDatabaseConfig, openDatabase } from './lib/db/index.js';
+import { generateFulfillment } from './lib/fulfillment.js';
+import { generateCustomerVersions, generateProductVersions, versionAt } from './lib/history.js';
+import { createInventory, STOCKOUT_POLICIES } from './lib/inventory.js';
+import { generateCharges, generateReversals, settledCharge } from './lib/payments.js';
+import { createPromotionCalendar, generatePromotions } from './lib/promotions.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const DATA_DIR = path.join(__dirname, 'data');
 const RECORD_MIN = 50;
 const RECORD_MAX = 100;
+const DEFAULT_ITEMS_PER_ORDER = 2;
+const DEFAULT_RESTOCK_LEAD_DAYS = 3;
+const MAX_PRODUCT_DRAWS = 3;
+const MAX_SEED = 2 ** 31 - 1;
+// A seeded run without --ref-date uses this date, so the seed alone
+// reproduces the same dataset on any day.
+const SEEDED_REF_DATE = '2025-01-01T00:00:00.000Z';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CATEGORIES = Object.keys(DEFAULT_BEHAVIOR.categoryWeights);
+
+const HEADERS = {
+  customers: ['customer_id', 'name', 'email', 'signup_date', 'country'],
+  customerHistory: [
+    'customer_history_id',
+    'customer_id',
+    'name',
+    'email',
+    'country',
+    'valid_from',
+    'valid_to',
+  ],
+  products: ['product_id', 'product_name', 'category', 'price', 'unit_cost', 'stock_quantity'],
+  productHistory: [
+    'product_history_id',
+    'product_id',
+    'product_name',
+    'category',
+    'price',
+    'unit_cost',
+    'valid_from',
+    'valid_to',
+  ],
+  promotions: [
+    'promotion_id',
+    'promotion_code',
+    'promotion_type',
+    'category',
+    'discount_percent',
+    'discount_amount',
+    'min_order_amount',
+    'buy_quantity',
+    'get_quantity',
+    'starts_on',
+    'ends_on',
+  ],
+  orders: ['order_id', 'customer_id', 'order_date', 'coupon_id', 'total_amount', 'currency'],
+  orderItems: [
+    'order_item_id',
+    'order_id',
+    'product_id',
+    'quantity',
+    'list_price',
+    'discount_amount',
+    'unit_price',
+    'promotion_id',
+    'currency',
+  ],
+  payments: [
+    'payment_id',
+    'order_id',
+    'parent_payment_id',
+    'payment_type',
+    'payment_method',
+    'payment_status',
+    'amount',
+    'currency',
+    'payment_date',
+  ],
+  inventoryMovements: [
+    'movement_id',
+    'product_id',
+    'order_item_id',
+    'movement_type',
+    'quantity',
+    'movement_date',
+  ],
+  fxRates: ['rate_date', 'currency', 'rate'],
+  shipments: [
+    'shipment_id',
+    'order_id',
+    'carrier',
+    'tracking_number',
+    'shipped_at',
+    'delivered_at',
+  ],
+  orderStatusHistory: ['status_id', 'order_id', 'status', 'status_date'],
+  returns: [
+    'return_id',
+    'order_item_id',
+    'quantity',
+    'return_reason',
+    'requested_at',
+    'received_at',
+    'refund_payment_id',
+  ],
+};
+
+// The id column of each generated table. A continued batch numbers every table
+// after the largest id already in the database.
+const TABLE_IDS = {
+  customers: 'customer_id',
+  customer_history: 'customer_history_id',
+  products: 'product_id',
+  product_history: 'product_history_id',
+  promotions: 'promotion_id',
+  orders: 'order_id',
+  order_items: 'order_item_id',
+  payments: 'payment_id',
+  inventory_movements: 'movement_id',
+  shipments: 'shipment_id',
+  order_status_history: 'status_id',
+  returns: 'return_id',
+};
+
+const ID_COLUMN_TABLES = {
+  ...Object.fromEntries(Object.entries(TABLE_IDS).map(([table, column]) => [column, table])),
+  coupon_id: 'promotions',
+  parent_payment_id: 'payments',
+  refund_payment_id: 'payments',
+};
 
 const randomCount = () => faker.number.int({ min: RECORD_MIN, max: RECORD_MAX });
 
-const formatDate = (date) => date.toISOString().split('T')[0];
+const parseOptions = (argv) => {
+  const { options } = parseArgs(argv, {
+    seed: { type: 'integer' },
+    customers: { type: 'integer' },
+    products: { type: 'integer' },
+    orders: { type: 'integer' },
+    'items-per-order': { type: 'integer', default: DEFAULT_ITEMS_PER_ORDER },
+    'ref-date': { type: 'string' },
+    behavior: { type: 'string' },
+    'stockout-policy': { type: 'string', default: 'backorder' },
+    'restock-lead-days': { type: 'integer', default: DEFAULT_RESTOCK_LEAD_DAYS },
+    continue: { type: 'boolean' },
+  });
 
-const escapeCsvValue = (value) => {
-  if (value === null || value === undefined) {
-    return '';
+  for (const name of ['customers', 'products', 'orders', 'items-per-order']) {
+    if (options[name] !== undefined && options[name] < 1) {
+      throw new Error(`--${name} must be a positive integer, got ${options[name]}`);
+    }
   }
 
-  const str = String(value);
-  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  if (options.seed !== undefined && (options.seed < 0 || options.seed > MAX_SEED)) {
+    throw new Error(`--seed must be between 0 and ${MAX_SEED}, got ${options.seed}`);
+  }
+
+  if (!STOCKOUT_POLICIES.includes(options['stockout-policy'])) {
+    throw new Error(
+      `--stockout-policy must be one of ${STOCKOUT_POLICIES.join(', ')}, got "${options['stockout-policy']}"`
+    );
+  }
+
+  if (options['restock-lead-days'] < 0) {
+    throw new Error(
+      `--restock-lead-days must not be negative, got ${options['restock-lead-days']}`
+    );
+  }
+
+  const defaultRefDate = options.seed !== undefined ? new Date(SEEDED_REF_DATE) : new Date();
+  const refDate = options['ref-date'] ? new Date(options['ref-date']) : defaultRefDate;
+  if (Number.isNaN(refDate.getTime())) {
+    throw new Error(`Invalid date for --ref-date: "${options['ref-date']}"`);
+  }
+
+  return {
+    seed: options.seed ?? Math.floor(Math.random() * MAX_SEED),
+    customerCount: options.customers,
+    productCount: options.products,
+    orderCount: options.orders,
+    itemsPerOrder: options['items-per-order'],
+    refDate,
+    behaviorPath: options.behavior,
+    stockoutPolicy: options['stockout-policy'],
+    restockLeadDays: options['restock-lead-days'],
+    continueBatch: Boolean(options.continue),
+  };
 };
 
-const convertToCsv = (records, headers) => {
-  const headerLine = headers.join(',');
-  const rows = records.map((record) =>
-    headers.map((header) => escapeCsvValue(record[header])).join(',')
-  );
+const formatDate = (date) => date.toISOString().split('T')[0];
+
+const formatDay = (day) => formatDate(new Date(day * DAY_MS));
 
-  return [headerLine, ...rows].join('\n');
+const toDayNumber = (timestamp) => Math.floor(timestamp / DAY_MS);
+
+const shiftYears = (date, years) => {
+  const shifted = new Date(date);
+  shifted.setFullYear(shifted.getFullYear() + years);
+  return shifted;
 };
 
-const generateCustomers = (count) =>
-  Array.from({ length: count }, (_, idx) => {
-    const signupDate = faker.date.past({ years: 2 });
+const startOfDay = (date) => new Date(toDayNumber(date.getTime()) * DAY_MS);
 
-    return {
-      customer_id: idx + 1,
-      name: faker.person.fullName(),
-      email: faker.internet.email().toLowerCase(),
-      signup_date: formatDate(signupDate),
-      country: faker.location.country(),
-    };
-  });
+// Customer ids are assigned in signup order, so the customers who can place an
+// order on a given day are always a prefix of the id range.
+const generateSignupDays = (count, refDate, orderWindowStart) => {
+  const from = shiftYears(refDate, -2);
+  const signupDays = Int32Array.from({ length: count }, () =>
+    toDayNumber(faker.date.between({ from, to: refDate }).getTime())
+  ).sort();
 
-const generateProducts = (count) => {
-  const categories = [
-    'Electronics',
-    'Home & Kitchen',
-    'Books',
-    'Clothing',
-    'Sports & Outdoors',
-    'Beauty',
-    'Toys',
-    'Automotive',
-  ];
+  signupDays[0] = Math.min(signupDays[0], toDayNumber(orderWindowStart.getTime()));
+  return signupDays;
+};
 
-  return Array.from({ length: count }, (_, idx) => {
+// Faker repeats emails once there are tens of thousands of customers, so a
+// repeated address gets the customer id appended to its local part.
+const uniqueEmail = (email, customerId, usedEmails) => {
+  const candidate = usedEmails.has(email) ? email.replace('@', `.${customerId}@`) : email;
+  usedEmails.add(candidate);
+  return candidate;
+};
+
+// Yields each customer as they are now along with their history. The currency
+// of every version is recorded by id so orders can be priced in the currency
+// of the country the customer lived in at the time.
+function* generateCustomers(signupDays, customerCurrencies, refDate, { usedEmails, idOffset }) {
+  let nextHistoryId = 1;
+
+  for (let idx = 0; idx < signupDays.length; idx += 1) {
+    const signupDate = new Date(signupDays[idx] * DAY_MS);
+    const email = faker.internet.email().toLowerCase();
+    const customerId = idx + 1 + idOffset;
+    const versions = generateCustomerVersions(
+      {
+        customer_id: idx + 1,
+        name: faker.person.fullName(),
+        email: uniqueEmail(email, customerId, usedEmails),
+        signup_date: formatDate(signupDate),
+        country: faker.location.country(),
+      },
+      signupDate.getTime(),
+      refDate.getTime(),
+      { customerId, usedEmails }
+    );
+    for (const version of versions) {
+      version.customer_history_id = nextHistoryId;
+      nextHistoryId += 1;
+    }
+
+    customerCurrencies[idx] = versions.map(({ valid_from, country }) => ({
+      valid_from,
+      currency: currencyForCountry(country),
+    }));
+    yield { customer: versions[versions.length - 1], versions };
+  }
+}
+
+const generateProducts = (count) =>
+  Array.from({ length: count }, (_, idx) => {
     const priceValue = Number(
       faker.commerce.price({ min: 10, max: 500, dec: 2 })
     );
@@ -64,198 +280,496 @@ const generateProducts = (count) => {
     return {
       product_id: idx + 1,
       product_name: faker.commerce.productName(),
-      category: faker.helpers.arrayElement(categories),
+      category: faker.helpers.arrayElement(CATEGORIES),
       price: priceValue.toFixed(2),
+      unit_cost: (priceValue * faker.number.float({ min: 0.4, max: 0.7 })).toFixed(2),
       stock_quantity: faker.number.int({ min: 0, max: 500 }),
     };
   });
+
+const generateProductHistory = (products, fromDate, toDate) => {
+  let nextHistoryId = 1;
+
+  return products.map((product) =>
+    generateProductVersions(product, CATEGORIES, fromDate.getTime(), toDate.getTime()).map(
+      (version) => {
+        version.product_history_id = nextHistoryId;
+        nextHistoryId += 1;
+        return version;
+      }
+    )
+  );
 };
 
-const generateOrders = (count, customerCount) => {
-  const startDate = new Date();
-  startDate.setFullYear(startDate.getFullYear() - 1);
+const createProductSampler = (products, behavior) =>
+  createWeightedSampler(
+    products.map(
+      (product) =>
+        behavior.categoryWeights[product.category] *
+        paretoWeight(faker.number.float(), behavior.productPopularityAlpha)
+    )
+  );
 
-  return Array.from({ length: count }, (_, idx) => {
-    const orderDate = faker.date.between({
-      from: startDate,
-      to: new Date(),
-    });
+const createCustomerSampler = (customerCount, behavior) =>
+  createWeightedSampler(
+    Array.from({ length: customerCount }, () =>
+      paretoWeight(faker.number.float(), behavior.customerActivityAlpha)
+    )
+  );
 
-    return {
-      order_id: idx + 1,
-      customer_id: faker.number.int({ min: 1, max: customerCount }),
-      order_date: orderDate.toISOString(),
-      total_amount: 0,
-    };
+const countOrdersPerDay = (count, firstDay, lastDay, behavior) => {
+  const dayWeights = Array.from({ length: lastDay - firstDay + 1 }, (_, offset) => {
+    const date = new Date((firstDay + offset) * DAY_MS);
+    return (
+      behavior.monthlySeasonality[date.getUTCMonth()] *
+      behavior.weekdayWeights[date.getUTCDay()]
+    );
   });
+  const sampleDay = createWeightedSampler(dayWeights);
+  const ordersPerDay = new Int32Array(dayWeights.length);
+
+  for (let idx = 0; idx < count; idx += 1) {
+    ordersPerDay[sampleDay(faker.number.float())] += 1;
+  }
+
+  return ordersPerDay;
 };
 
-const generateOrderItems = (orders, products, targetCount) => {
+// A line whose product is out of stock is redrawn a few times before it is
+// dropped; under the backorder policy every line is accepted. Lines are priced
+// at the list price the product had when the order was placed, less the best
+// automatic promotion, then a coupon may take more off the whole order.
+const generateOrderItems = ({
+  order,
+  products,
+  productVersions,
+  sampleProduct,
+  inventory,
+  promotions,
+  itemsPerOrder,
+  nextOrderItemId,
+  exchangeRate,
+}) => {
+  const lineCount = faker.number.int({ min: 1, max: itemsPerOrder });
+  const orderDate = new Date(order.order_date);
+  const day = formatDate(orderDate);
   const orderItems = [];
-  const safeTargetCount = Math.max(targetCount, orders.length);
-  let nextOrderItemId = 1;
 
-  const addOrderItem = (order) => {
-    const product = faker.helpers.arrayElement(products);
-    const quantity = faker.number.int({ min: 1, max: 5 });
-    const unitPrice = Number(product.price);
-
-    const orderItem = {
-      order_item_id: nextOrderItemId++,
-      order_id: order.order_id,
-      product_id: product.product_id,
-      quantity,
-      unit_price: unitPrice.toFixed(2),
-    };
+  for (let line = 0; line < lineCount; line += 1) {
+    const orderedQuantity = faker.number.int({ min: 1, max: 5 });
+
+    for (let draw = 0; draw < MAX_PRODUCT_DRAWS; draw += 1) {
+      const product = products[sampleProduct(faker.number.float())];
+      const { category, price } = versionAt(
+        productVersions[product.product_id - 1],
+        order.order_date
+      );
+      const quantity = promotions.adjustQuantity(category, day, orderedQuantity);
+      const orderItemId = nextOrderItemId + orderItems.length;
+      const allocated = inventory.allocate({
+        productId: product.product_id,
+        quantity,
+        orderItemId,
+        date: orderDate,
+      });
+
+      if (allocated) {
+        const orderItem = {
+          order_item_id: orderItemId,
+          order_id: order.order_id,
+          product_id: product.product_id,
+          quantity,
+          list_price: Math.round(Number(price) * exchangeRate * 100) / 100,
+          discount_amount: 0,
+          promotion_id: null,
+          currency: order.currency,
+        };
+        promotions.priceLine(orderItem, category, day);
+        orderItems.push(orderItem);
+        break;
+      }
+    }
+  }
 
-    orderItems.push(orderItem);
-    order.total_amount += quantity * unitPrice;
-  };
+  promotions.applyCoupon(order, orderItems, day, exchangeRate);
+  for (const orderItem of orderItems) {
+    const unitPrice = orderItem.list_price - orderItem.discount_amount;
+    order.total_amount += orderItem.quantity * unitPrice;
+    orderItem.unit_price = unitPrice.toFixed(2);
+    orderItem.list_price = orderItem.list_price.toFixed(2);
+    orderItem.discount_amount = orderItem.discount_amount.toFixed(2);
+  }
 
-  for (const order of orders) {
-    if (orderItems.length >= safeTargetCount) {
-      break;
+  return orderItems;
+};
+
+// An order ships in one parcel, so it waits for its last backordered line.
+const readyToShipDate = (inventory, orderItems, orderDate) =>
+  new Date(
+    Math.max(...orderItems.map((item) => inventory.availableDate(item.product_id, orderDate)))
+  );
+
+function* generateOrders({
+  count,
+  signupDays,
+  customerCurrencies,
+  exchangeRates,
+  products,
+  productVersions,
+  inventory,
+  promotions,
+  itemsPerOrder,
+  orderWindowStart,
+  refDate,
+  behavior,
+}) {
+  const refTime = refDate.getTime();
+  const firstDay = toDayNumber(orderWindowStart.getTime());
+  const lastDay = toDayNumber(refTime);
+  const ordersPerDay = countOrdersPerDay(count, firstDay, lastDay, behavior);
+  const sampleCustomer = createCustomerSampler(signupDays.length, behavior);
+  const sampleProduct = createProductSampler(products, behavior);
+  let eligibleCustomers = 0;
+  let rejectedOrders = 0;
+  let nextOrderId = 1;
+  let nextOrderItemId = 1;
+  let nextPaymentId = 1;
+  let nextShipmentId = 1;
+  let nextStatusId = 1;
+  let nextReturnId = 1;
+
+  for (let offset = 0; offset < ordersPerDay.length; offset += 1) {
+    const day = firstDay + offset;
+    const dayStart = day * DAY_MS;
+    const orderTimes = Array.from({ length: ordersPerDay[offset] }, () =>
+      faker.number.int({ min: dayStart, max: Math.min(dayStart + DAY_MS - 1, refTime) })
+    ).sort((a, b) => a - b);
+
+    while (eligibleCustomers < signupDays.length && signupDays[eligibleCustomers] <= day) {
+      eligibleCustomers += 1;
+    }
+
+    for (const orderTime of orderTimes) {
+      const customerId = sampleCustomer(faker.number.float(), eligibleCustomers) + 1;
+      const orderDate = new Date(orderTime).toISOString();
+      const order = {
+        order_id: nextOrderId,
+        customer_id: customerId,
+        order_date: orderDate,
+        coupon_id: null,
+        total_amount: 0,
+        currency: versionAt(customerCurrencies[customerId - 1], orderDate).currency,
+      };
+
+      inventory.receiveDeliveries(new Date(orderTime));
+      const orderItems = generateOrderItems({
+        order,
+        products,
+        productVersions,
+        sampleProduct,
+        inventory,
+        promotions,
+        itemsPerOrder,
+        nextOrderItemId,
+        exchangeRate: exchangeRates.rate(order.currency, day),
+      });
+
+      if (!orderItems.length) {
+        rejectedOrders += 1;
+        continue;
+      }
+
+      nextOrderItemId += orderItems.length;
+      order.total_amount = order.total_amount.toFixed(2);
+
+      const charges = generateCharges(order, nextPaymentId, refDate);
+      const { shipment, statuses, returns } = generateFulfillment({
+        order,
+        orderItems,
+        productVersions,
+        charges,
+        readyDate: readyToShipDate(inventory, orderItems, new Date(orderTime)),
+        refDate,
+        nextShipmentId,
+        nextStatusId,
+        nextReturnId,
+      });
+      const charge = settledCharge(charges);
+      const reversals = charge
+        ? generateReversals({
+            order,
+            charge,
+            returns,
+            orderItems,
+            nextPaymentId: nextPaymentId + charges.length,
+            refDate,
+          })
+        : [];
+      const payments = [...charges, ...reversals];
+      nextPaymentId += payments.length;
+      nextShipmentId += shipment ? 1 : 0;
+      nextStatusId += statuses.length;
+      nextReturnId += returns.length;
+
+      yield { order, orderItems, payments, shipment, statuses, returns };
+      nextOrderId += 1;
     }
-    addOrderItem(order);
   }
 
-  while (orderItems.length < safeTargetCount) {
-    const order = faker.helpers.arrayElement(orders);
-    addOrderItem(order);
+  if (rejectedOrders) {
+    console.warn(`Dropped ${rejectedOrders} orders whose products were all out of stock.`);
   }
+}
+
+// Rows are generated with ids from 1 and shifted as they are written, since
+// the generators use the ids to index their own arrays.
+const shiftIds = (record, idOffsets) => {
+  const shifted = { ...record };
+  for (const [column, table] of Object.entries(ID_COLUMN_TABLES)) {
+    if (shifted[column] !== undefined && shifted[column] !== null) {
+      shifted[column] += idOffsets[table];
+    }
+  }
+  return shifted;
+};
 
-  for (const order of orders) {
-    order.total_amount = order.total_amount.toFixed(2);
+const openWriter = (fileName, headers, idOffsets = null) => {
+  const writer = createCsvWriter(path.join(DATA_DIR, fileName), headers);
+  if (!idOffsets) {
+    return writer;
   }
 
-  return orderItems;
+  return {
+    filePath: writer.filePath,
+    write: (record) => writer.write(shiftIds(record, idOffsets)),
+    close: writer.close,
+    get rowCount() {
+      return writer.rowCount;
+    },
+  };
 };
 
-const generatePayments = (orders) => {
-  const paymentMethods = [
-    'Credit Card',
-    'Debit Card',
-    'PayPal',
-    'Bank Transfer',
-    'Gift Card',
-  ];
-  const paymentStatuses = ['Completed', 'Pending', 'Failed'];
-
-  return orders.map((order, idx) => {
-    const status = faker.helpers.arrayElement(paymentStatuses);
-    const orderDate = new Date(order.order_date);
-    const paymentDate =
-      status === 'Pending'
-        ? orderDate
-        : faker.date.between({
-            from: orderDate,
-            to: new Date(orderDate.getTime() + 7 * 24 * 60 * 60 * 1000),
-          });
+const closeWriters = async (writers) => {
+  for (const writer of writers) {
+    await writer.close();
+    console.log(`Created ${writer.filePath} (${writer.rowCount} rows)`);
+  }
+};
+
+const writeAll = async (writer, records) => {
+  for (const record of records) {
+    await writer.write(record);
+  }
+};
+
+const writeRecords = async (fileName, headers, records, idOffsets) => {
+  const writer = openWriter(fileName, headers, idOffsets);
+  await writeAll(writer, records);
+  await closeWriters([writer]);
+};
+
+// --continue numbers the new batch after the ids already in the database and
+// reuses its stored exchange rates, so create-database.js --incremental adds
+// the batch to the existing history instead of overwriting rows.
+const loadContinuation = async () => {
+  const config = getDatabaseConfig();
+  try {
+    await access(config.filePath);
+  } catch {
+    throw new Error(
+      `--continue needs an existing database at ${config.filePath}; run npm run create-db first`
+    );
+  }
+
+  const db = await openDatabase(config, { readOnly: true });
+  try {
+    const [idOffsets] = await db.all(
+      `SELECT ${Object.entries(TABLE_IDS)
+        .map(([table, column]) => `(SELECT COALESCE(MAX(${column}), 0) FROM ${table}) AS ${table}`)
+        .join(', ')}`
+    );
+    const customers = await db.all(
+      'SELECT email FROM customers UNION SELECT email FROM customer_history'
+    );
+    const rates = await db.all('SELECT rate_date, currency, rate FROM fx_rates');
 
     return {
-      payment_id: idx + 1,
-      order_id: order.order_id,
-      payment_method: faker.helpers.arrayElement(paymentMethods),
-      payment_status: status,
-      payment_date: paymentDate.toISOString(),
+      idOffsets,
+      usedEmails: new Set(customers.map((row) => row.email.toLowerCase())),
+      storedRates: new Map(rates.map((row) => [`${row.rate_date}/${row.currency}`, row.rate])),
     };
-  });
+  } finally {
+    await db.close();
+  }
 };
 
-const writeCsvFile = async (fileName, headers, records) => {
-  const csvContent = convertToCsv(records, headers);
-  const filePath = path.join(DATA_DIR, fileName);
+const NEW_BATCH = { idOffsets: null, usedEmails: new Set(), storedRates: new Map() };
+
+// Days that already have a stored rate keep it, so a continued batch prices
+// its orders consistently with the database and only writes the new days.
+const reuseStoredRates = (exchangeRates, storedRates) => ({
+  rate: (currency, day) =>
+    storedRates.get(`${formatDay(day)}/${currency}`) ?? exchangeRates.rate(currency, day),
+  *rows() {
+    for (const row of exchangeRates.rows(formatDay)) {
+      if (!storedRates.has(`${row.rate_date}/${row.currency}`)) {
+        yield row;
+      }
+    }
+  },
+});
 
-  await writeFile(filePath, csvContent, 'utf8');
-  console.log(`Created ${filePath}`);
-};
+const generateAndSaveData = async (options) => {
+  faker.seed(options.seed);
+  faker.setDefaultRefDate(options.refDate);
+
+  const customerCount = options.customerCount ?? randomCount();
+  const productCount = options.productCount ?? randomCount();
+  const orderCount = options.orderCount ?? randomCount();
+
+  console.log(
+    `Generating data with --seed ${options.seed} --ref-date ${options.refDate.toISOString()}`
+  );
+
+  await mkdir(DATA_DIR, { recursive: true });
+  const { idOffsets, usedEmails, storedRates } = options.continueBatch
+    ? await loadContinuation()
+    : NEW_BATCH;
+  if (idOffsets) {
+    console.log(`Continuing after order ${idOffsets.orders} in the existing database.`);
+  }
 
-const generateAndSaveData = async () => {
-  const customerCount = randomCount();
-  const productCount = randomCount();
-  const orderCount = randomCount();
-  const orderItemCount = Math.max(randomCount(), orderCount);
+  const behavior = await loadBehavior(options.behaviorPath);
+  const orderWindowStart = startOfDay(shiftYears(options.refDate, -1));
+  const signupDays = generateSignupDays(customerCount, options.refDate, orderWindowStart);
+  const customerCurrencies = new Array(customerCount);
+  const customerWriters = [
+    openWriter('customers.csv', HEADERS.customers, idOffsets),
+    openWriter('customer_history.csv', HEADERS.customerHistory, idOffsets),
+  ];
+  const [customersWriter, customerHistoryWriter] = customerWriters;
+  for (const { customer, versions } of generateCustomers(
+    signupDays,
+    customerCurrencies,
+    options.refDate,
+    { usedEmails, idOffset: idOffsets?.customers ?? 0 }
+  )) {
+    await customersWriter.write(customer);
+    await writeAll(customerHistoryWriter, versions);
+  }
+  await closeWriters(customerWriters);
+
+  const firstRateDay = toDayNumber(orderWindowStart.getTime());
+  const exchangeRates = reuseStoredRates(
+    generateExchangeRates({
+      seed: options.seed,
+      firstDay: firstRateDay,
+      dayCount: toDayNumber(options.refDate.getTime()) - firstRateDay + 1,
+    }),
+    storedRates
+  );
+  await writeRecords('fx_rates.csv', HEADERS.fxRates, exchangeRates.rows());
 
-  const customers = generateCustomers(customerCount);
   const products = generateProducts(productCount);
-  const orders = generateOrders(orderCount, customerCount);
-  const orderItems = generateOrderItems(orders, products, orderItemCount);
-  const payments = generatePayments(orders);
-
-  const datasets = [
-    {
-      fileName: 'customers.csv',
-      headers: [
-        'customer_id',
-        'name',
-        'email',
-        'signup_date',
-        'country',
-      ],
-      records: customers,
-    },
-    {
-      fileName: 'products.csv',
-      headers: [
-        'product_id',
-        'product_name',
-        'category',
-        'price',
-        'stock_quantity',
-      ],
-      records: products,
-    },
-    {
-      fileName: 'orders.csv',
-      headers: [
-        'order_id',
-        'customer_id',
-        'order_date',
-        'total_amount',
-      ],
-      records: orders,
-    },
-    {
-      fileName: 'order_items.csv',
-      headers: [
-        'order_item_id',
-        'order_id',
-        'product_id',
-        'quantity',
-        'unit_price',
-      ],
-      records: orderItems,
-    },
-    {
-      fileName: 'payments.csv',
-      headers: [
-        'payment_id',
-        'order_id',
-        'payment_method',
-        'payment_status',
-        'payment_date',
-      ],
-      records: payments,
-    },
+  const productVersions = generateProductHistory(products, orderWindowStart, options.refDate);
+  await writeRecords(
+    'product_history.csv',
+    HEADERS.productHistory,
+    productVersions.flat(),
+    idOffsets
+  );
+  const promotions = generatePromotions({
+    categories: CATEGORIES,
+    firstDay: firstRateDay,
+    lastDay: toDayNumber(options.refDate.getTime()),
+  });
+  await writeRecords('promotions.csv', HEADERS.promotions, promotions, idOffsets);
+  const inventory = createInventory({
+    products,
+    policy: options.stockoutPolicy,
+    leadDays: options.restockLeadDays,
+    startDate: orderWindowStart,
+  });
+
+  const orderWriters = [
+    openWriter('orders.csv', HEADERS.orders, idOffsets),
+    openWriter('order_items.csv', HEADERS.orderItems, idOffsets),
+    openWriter('payments.csv', HEADERS.payments, idOffsets),
+    openWriter('inventory_movements.csv', HEADERS.inventoryMovements, idOffsets),
+    openWriter('shipments.csv', HEADERS.shipments, idOffsets),
+    openWriter('order_status_history.csv', HEADERS.orderStatusHistory, idOffsets),
+    openWriter('returns.csv', HEADERS.returns, idOffsets),
   ];
+  const [
+    ordersWriter,
+    orderItemsWriter,
+    paymentsWriter,
+    movementsWriter,
+    shipmentsWriter,
+    statusWriter,
+    returnsWriter,
+  ] = orderWriters;
+
+  const orders = generateOrders({
+    count: orderCount,
+    signupDays,
+    customerCurrencies,
+    exchangeRates,
+    products,
+    productVersions,
+    inventory,
+    promotions: createPromotionCalendar(promotions),
+    itemsPerOrder: options.itemsPerOrder,
+    orderWindowStart,
+    refDate: options.refDate,
+    behavior,
+  });
 
-  await mkdir(DATA_DIR, { recursive: true });
+  for (const { order, orderItems, payments, shipment, statuses, returns } of orders) {
+    await ordersWriter.write(order);
+    await writeAll(orderItemsWriter, orderItems);
+    await writeAll(paymentsWriter, payments);
+    await writeAll(movementsWriter, inventory.drainMovements());
+    if (shipment) {
+      await shipmentsWriter.write(shipment);
+    }
+    await writeAll(statusWriter, statuses);
+    await writeAll(returnsWriter, returns);
+  }
+
+  // Restocks due between the last order and the reference date still arrive.
+  inventory.receiveDeliveries(options.refDate);
+  await writeAll(movementsWriter, inventory.drainMovements());
+  await closeWriters(orderWriters);
 
-  for (const dataset of datasets) {
-    await writeCsvFile(dataset.fileName, dataset.headers, dataset.records);
+  for (const product of products) {
+    const versions = productVersions[product.product_id - 1];
+    const { category, price } = versions[versions.length - 1];
+    Object.assign(product, { category, price });
+    product.stock_quantity = inventory.finalStock(product.product_id);
+  }
+  await writeRecords('products.csv', HEADERS.products, products, idOffsets);
+
+  const backorderedUnits = inventory.backorderedUnits();
+  if (backorderedUnits) {
+    console.log(`${backorderedUnits} backordered units are still awaiting restock.`);
   }
 
   console.log('Synthetic ecommerce data generated successfully.');
 };
 
+export const generateData = (argv = []) => generateAndSaveData(parseOptions(argv));
+
 const main = async () => {
   try {
-    await generateAndSaveData();
+    await generateData(process.argv.slice(2));
   } catch (error) {
     console.error('Failed to generate synthetic data:', error);
     process.exitCode = 1;
   }
 };
 
-main();
+if (isMain(import.meta.url)) {
+  main();
+}
 
@@ -0,0 +1,324 @@
+import { PARAM_TYPES, resolveParams, runReport } from './reports.js';
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+const FILTER_TYPES = {
+  integer: (value) => (/^-?\d+$/.test(value) ? Number(value) : null),
+  number: (value) => (value !== '' && !Number.isNaN(Number(value)) ? Number(value) : null),
+  string: (value) => (value === '' ? null : value),
+  date: (value) => (ISO_DATE_PATTERN.test(value) ? value : null),
+};
+
+const FILTER_OPERATORS = {
+  eq: (column) => `${column} = ?`,
+  gte: (column) => `${column} >= ?`,
+  lte: (column) => `${column} <= ?`,
+  // Dates are stored as ISO text, so an inclusive upper bound compares the day part.
+  dateFrom: (column) => `${column} >= ?`,
+  dateTo: (column) => `SUBSTR(${column}, 1, 10) <= ?`,
+};
+
+// Column names cannot be bound as parameters, so sorting and filtering only
+// accept the columns listed here; every value is still bound.
+const RESOURCES = {
+  customers: {
+    table: 'customers',
+    primaryKey: 'customer_id',
+    columns: ['customer_id', 'name', 'email', 'signup_date', 'country'],
+    defaultSort: 'customer_id',
+    filters: {
+      country: { column: 'country', type: 'string', op: 'eq' },
+      signup_from: { column: 'signup_date', type: 'date', op: 'dateFrom' },
+      signup_to: { column: 'signup_date', type: 'date', op: 'dateTo' },
+    },
+  },
+  products: {
+    table: 'products',
+    primaryKey: 'product_id',
+    columns: ['product_id', 'product_name', 'category', 'price', 'unit_cost', 'stock_quantity'],
+    defaultSort: 'product_id',
+    filters: {
+      category: { column: 'category', type: 'string', op: 'eq' },
+      min_price: { column: 'price', type: 'number', op: 'gte' },
+      max_price: { column: 'price', type: 'number', op: 'lte' },
+    },
+  },
+  orders: {
+    table: 'orders',
+    primaryKey: 'order_id',
+    columns: ['order_id', 'customer_id', 'order_date', 'coupon_id', 'total_amount', 'currency'],
+    defaultSort: '-order_date',
+    filters: {
+      customer_id: { column: 'customer_id', type: 'integer', op: 'eq' },
+      coupon_id: { column: 'coupon_id', type: 'integer', op: 'eq' },
+      currency: { column: 'currency', type: 'string', op: 'eq' },
+      from: { column: 'order_date', type: 'date', op: 'dateFrom' },
+      to: { column: 'order_date', type: 'date', op: 'dateTo' },
+      min_total: { column: 'total_amount', type: 'number', op: 'gte' },
+      max_total: { column: 'total_amount', type: 'number', op: 'lte' },
+    },
+    embed: async (db, orders) => {
+      if (!orders.length) {
+        return orders;
+      }
+
+      const ids = orders.map((order) => order.order_id);
+      const placeholders = ids.map(() => '?').join(', ');
+      const [items, payments] = await Promise.all([
+        db.all(
+          `SELECT order_item_id, order_id, product_id, quantity, list_price,
+            discount_amount, unit_price, promotion_id, currency
+          FROM order_items WHERE order_id IN (${placeholders}) ORDER BY order_item_id`,
+          ids
+        ),
+        db.all(
+          `SELECT payment_id, order_id, parent_payment_id, payment_type, payment_method,
+            payment_status, amount, currency, payment_date
+          FROM payments WHERE order_id IN (${placeholders}) ORDER BY payment_id`,
+          ids
+        ),
+      ]);
+
+      const byOrder = (rows) => {
+        const groups = new Map(ids.map((id) => [id, []]));
+        for (const row of rows) {
+          groups.get(row.order_id).push(row);
+        }
+        return groups;
+      };
+      const itemsByOrder = byOrder(items);
+      const paymentsByOrder = byOrder(payments);
+
+      return orders.map((order) => ({
+        ...order,
+        items: itemsByOrder.get(order.order_id),
+        payments: paymentsByOrder.get(order.order_id),
+      }));
+    },
+  },
+};
+
+const parseInteger = (query, name, fallback, { min, max }) => {
+  if (!query.has(name)) {
+    return fallback;
+  }
+  const value = FILTER_TYPES.integer(query.get(name));
+  if (value === null || value < min || value > max) {
+    throw httpError(400, `Query parameter ${name} must be an integer between ${min} and ${max}`);
+  }
+  return value;
+};
+
+const parseSort = (resource, sort) =>
+  sort.split(',').map((term) => {
+    const descending = term.startsWith('-');
+    const column = descending ? term.slice(1) : term;
+    if (!resource.columns.includes(column)) {
+      throw httpError(
+        400,
+        `Cannot sort ${resource.table} by "${column}". Use one of: ${resource.columns.join(', ')}`
+      );
+    }
+    return `${column} ${descending ? 'DESC' : 'ASC'}`;
+  });
+
+const parseFilters = (resource, query) => {
+  const clauses = [];
+  const values = [];
+
+  for (const [name, rawValue] of query) {
+    if (['limit', 'offset', 'sort'].includes(name)) {
+      continue;
+    }
+
+    const filter = resource.filters[name];
+    if (!filter) {
+      throw httpError(
+        400,
+        `Unknown filter "${name}" for ${resource.table}. Use one of: ${Object.keys(resource.filters).join(', ')}`
+      );
+    }
+
+    const value = FILTER_TYPES[filter.type](rawValue);
+    if (value === null) {
+      throw httpError(400, `Filter ${name} expects a ${filter.type}, got "${rawValue}"`);
+    }
+    clauses.push(FILTER_OPERATORS[filter.op](filter.column));
+    values.push(value);
+  }
+
+  return { where: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', values };
+};
+
+const listResource = async (db, resource, query) => {
+  const limit = parseInteger(query, 'limit', DEFAULT_PAGE_SIZE, { min: 1, max: MAX_PAGE_SIZE });
+  const offset = parseInteger(query, 'offset', 0, { min: 0, max: Number.MAX_SAFE_INTEGER });
+  const orderBy = parseSort(resource, query.get('sort') ?? resource.defaultSort);
+  const { where, values } = parseFilters(resource, query);
+
+  // The primary key breaks ties so pages never overlap or skip rows.
+  if (!orderBy.some((term) => term.startsWith(`${resource.primaryKey} `))) {
+    orderBy.push(`${resource.primaryKey} ASC`);
+  }
+
+  const [rows, [{ total }]] = await Promise.all([
+    db.all(
+      `SELECT ${resource.columns.join(', ')} FROM ${resource.table} ${where}
+      ORDER BY ${orderBy.join(', ')} LIMIT ? OFFSET ?`,
+      [...values, limit, offset]
+    ),
+    db.all(`SELECT COUNT(*) AS total FROM ${resource.table} ${where}`, values),
+  ]);
+
+  return {
+    data: resource.embed ? await resource.embed(db, rows) : rows,
+    pagination: { limit, offset, total },
+  };
+};
+
+const getResource = async (db, resource, rawId) => {
+  const id = FILTER_TYPES.integer(rawId);
+  if (id === null) {
+    throw httpError(400, `${resource.primaryKey} must be an integer, got "${rawId}"`);
+  }
+  const rows = await db.all(
+    `SELECT ${resource.columns.join(', ')} FROM ${resource.table} WHERE ${resource.primaryKey} = ?`,
+    [id]
+  );
+
+  if (!rows.length) {
+    throw httpError(404, `No ${resource.table} row with ${resource.primaryKey} ${rawId}`);
+  }
+  const [row] = resource.embed ? await resource.embed(db, rows) : rows;
+  return { data: row };
+};
+
+const getReport = async (db, report, query) => {
+  const values = {};
+
+  for (const [name, rawValue] of query) {
+    const definition = report.params[name];
+    if (!definition) {
+      throw httpError(400, `Report ${report.name} does not take a ${name} parameter`);
+    }
+
+    const value = PARAM_TYPES[definition.type].parse(rawValue);
+    if (value === null) {
+      throw httpError(
+        400,
+        `Report parameter ${name} must be of type ${definition.type}, got "${rawValue}"`
+      );
+    }
+    values[name] = value;
+  }
+
+  let params;
+  try {
+    params = resolveParams(report, values, { label: (name) => `query parameter ${name}` });
+  } catch (error) {
+    throw httpError(400, error.message);
+  }
+
+  let data;
+  try {
+    data = await runReport(db, report, params);
+  } catch (error) {
+    throw error.code === 'WAREHOUSE_OUTDATED' ? httpError(503, error.message) : error;
+  }
+
+  return { report: report.name, title: report.title, params, data };
+};
+
+const describeApi = (reports) => ({
+  resources: Object.fromEntries(
+    Object.entries(RESOURCES).map(([name, resource]) => [
+      name,
+      {
+        list: `/${name}`,
+        item: `/${name}/:id`,
+        sort: resource.columns,
+        filters: Object.keys(resource.filters),
+      },
+    ])
+  ),
+  reports: reports.map((report) => ({
+    name: report.name,
+    title: report.title,
+    path: `/reports/${report.name}`,
+    params: report.params,
+  })),
+  pagination: { limit: `1-${MAX_PAGE_SIZE} (default ${DEFAULT_PAGE_SIZE})`, offset: '>= 0' },
+});
+
+const decodePathSegment = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    throw httpError(400, `Malformed percent-encoding in "${segment}"`);
+  }
+};
+
+const route = async (db, reports, url) => {
+  const [first, second, ...rest] = url.pathname.split('/').filter(Boolean);
+
+  if (!first) {
+    return describeApi(reports);
+  }
+  if (rest.length) {
+    throw httpError(404, `No route for ${url.pathname}`);
+  }
+
+  if (first === 'reports') {
+    if (!second) {
+      return { data: describeApi(reports).reports };
+    }
+    const report = reports.find((candidate) => candidate.name === second);
+    if (!report) {
+      throw httpError(404, `Unknown report "${second}"`);
+    }
+    return getReport(db, report, url.searchParams);
+  }
+
+  const resource = RESOURCES[first];
+  if (!resource) {
+    throw httpError(404, `No route for ${url.pathname}`);
+  }
+  return second
+    ? getResource(db, resource, decodePathSegment(second))
+    : listResource(db, resource, url.searchParams);
+};
+
+const parseUrl = (rawUrl) => {
+  try {
+    return new URL(rawUrl, 'http://localhost');
+  } catch {
+    throw httpError(400, `Malformed request URL "${rawUrl}"`);
+  }
+};
+
+const sendJson = (response, status, body) => {
+  response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  response.end(JSON.stringify(body));
+};
+
+export const createApiHandler = ({ db, reports, log = console }) => async (request, response) => {
+  try {
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+      response.setHeader('Allow', 'GET, HEAD');
+      throw httpError(405, `Method ${request.method} is not allowed; the API is read-only`);
+    }
+    sendJson(response, 200, await route(db, reports, parseUrl(request.url)));
+  } catch (error) {
+    const status = error.status ?? 500;
+    if (status === 500) {
+      log.error(`Request ${request.method} ${request.url} failed:`, error);
+    }
+    sendJson(response, status, {
+      error: status === 500 ? 'Internal server error' : error.message,
+    });
+  }
+};
@@ -0,0 +1,10 @@
+// With --as-of order, reports attribute each order to the customer's country
+// and the product's category as they were when it was placed; by default they
+// use the current values.
+export const AS_OF_PARAM = { type: 'string', default: 'now', choices: ['now', 'order'] };
+
+// Picks between a warehouse column as of the order and its current_ twin.
+// Reports select it in a subquery and group on the alias, since DuckDB does
+// not match a GROUP BY expression with a parameter to the select list.
+export const asOf = (orderColumn, currentColumn) =>
+  `CASE WHEN $as_of = 'order' THEN ${orderColumn} ELSE ${currentColumn} END`;
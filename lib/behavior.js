@@ -0,0 +1,107 @@
+import { readFile } from 'fs/promises';
+
+export const DEFAULT_BEHAVIOR = {
+  customerActivityAlpha: 1.16,
+  productPopularityAlpha: 2,
+  monthlySeasonality: [0.85, 0.8, 0.9, 0.95, 1, 0.95, 0.9, 0.95, 1, 1.05, 1.35, 1.65],
+  weekdayWeights: [1.2, 0.9, 0.9, 0.95, 1, 1.15, 1.3],
+  categoryWeights: {
+    Electronics: 1.6,
+    'Home & Kitchen': 1.3,
+    Books: 0.9,
+    Clothing: 1.4,
+    'Sports & Outdoors': 0.8,
+    Beauty: 1,
+    Toys: 0.7,
+    Automotive: 0.5,
+  },
+};
+
+const assertWeights = (name, weights, length) => {
+  if (!Array.isArray(weights) || weights.length !== length) {
+    throw new Error(`Behavior setting ${name} must be an array of ${length} weights`);
+  }
+  for (const weight of weights) {
+    if (typeof weight !== 'number' || !(weight >= 0)) {
+      throw new Error(`Behavior setting ${name} contains an invalid weight: ${weight}`);
+    }
+  }
+};
+
+const assertPositive = (name, value) => {
+  if (typeof value !== 'number' || !(value > 0)) {
+    throw new Error(`Behavior setting ${name} must be a positive number, got ${value}`);
+  }
+};
+
+export const validateBehavior = (behavior) => {
+  assertPositive('customerActivityAlpha', behavior.customerActivityAlpha);
+  assertPositive('productPopularityAlpha', behavior.productPopularityAlpha);
+  assertWeights('monthlySeasonality', behavior.monthlySeasonality, 12);
+  assertWeights('weekdayWeights', behavior.weekdayWeights, 7);
+
+  for (const [category, weight] of Object.entries(behavior.categoryWeights)) {
+    if (!(category in DEFAULT_BEHAVIOR.categoryWeights)) {
+      throw new Error(`Behavior setting categoryWeights has unknown category "${category}"`);
+    }
+    if (typeof weight !== 'number' || !(weight >= 0)) {
+      throw new Error(`Behavior setting categoryWeights.${category} is invalid: ${weight}`);
+    }
+  }
+
+  return behavior;
+};
+
+export const loadBehavior = async (filePath) => {
+  if (!filePath) {
+    return DEFAULT_BEHAVIOR;
+  }
+
+  const overrides = JSON.parse(await readFile(filePath, 'utf8'));
+
+  return validateBehavior({
+    ...DEFAULT_BEHAVIOR,
+    ...overrides,
+    categoryWeights: {
+      ...DEFAULT_BEHAVIOR.categoryWeights,
+      ...overrides.categoryWeights,
+    },
+  });
+};
+
+// Inverse-CDF sample of a Pareto(1, alpha) variable; a small alpha concentrates
+// most of the weight on a few entities (alpha ~1.16 gives the classic 80/20 split).
+export const paretoWeight = (uniform, alpha) => (1 - uniform) ** (-1 / alpha);
+
+export const createWeightedSampler = (weights) => {
+  const cumulative = new Float64Array(weights.length);
+  let total = 0;
+
+  weights.forEach((weight, idx) => {
+    total += weight;
+    cumulative[idx] = total;
+  });
+
+  if (!(total > 0)) {
+    throw new Error('Cannot sample from weights that sum to zero');
+  }
+
+  // Returns an index in [0, limit) drawn proportionally to its weight, so
+  // callers can restrict sampling to a prefix (e.g. customers signed up so far).
+  return (uniform, limit = weights.length) => {
+    const target = uniform * cumulative[limit - 1];
+    let low = 0;
+    let high = limit - 1;
+
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (cumulative[mid] > target) {
+        high = mid;
+      } else {
+        low = mid + 1;
+      }
+    }
+
+    return low;
+  };
+};
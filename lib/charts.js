@@ -0,0 +1,118 @@
+import { escapeHtml } from './report-formats.js';
+
+// Minimal SVG chart builders for the static dashboard. Everything is drawn
+// inline so the page needs no scripts or network access.
+export const PALETTE = ['#2f6fb0', '#e07b39', '#3a9b5c', '#c24d4d', '#8a63b8', '#b39b2d', '#4aa3a8', '#7a7a7a'];
+
+const formatNumber = (value) =>
+  Number(value).toLocaleString('en-US', { maximumFractionDigits: 2 });
+
+const svg = (width, height, body) =>
+  `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="100%" role="img">${body}</svg>`;
+
+const text = (x, y, value, attributes = '') =>
+  `<text x="${x}" y="${y}" ${attributes}>${escapeHtml(value)}</text>`;
+
+const empty = () => '<p class="empty">No data.</p>';
+
+// rows are plotted left to right in the order given.
+export const lineChart = (rows, { label, value, width = 720, height = 260 }) => {
+  if (!rows.length) {
+    return empty();
+  }
+
+  const margin = { top: 16, right: 16, bottom: 40, left: 80 };
+  const plotWidth = width - margin.left - margin.right;
+  const plotHeight = height - margin.top - margin.bottom;
+  const max = Math.max(...rows.map((row) => row[value]), 0) || 1;
+  const step = rows.length > 1 ? plotWidth / (rows.length - 1) : 0;
+  const x = (idx) => margin.left + (rows.length > 1 ? idx * step : plotWidth / 2);
+  const y = (amount) => margin.top + plotHeight - (amount / max) * plotHeight;
+  const labelEvery = Math.ceil(rows.length / 12);
+
+  const gridLines = [0, 0.25, 0.5, 0.75, 1]
+    .map((share) => {
+      const lineY = y(max * share);
+      return `<line x1="${margin.left}" x2="${width - margin.right}" y1="${lineY}" y2="${lineY}" class="grid"/>${text(margin.left - 8, lineY + 4, formatNumber(max * share), 'text-anchor="end"')}`;
+    })
+    .join('');
+  const points = rows.map((row, idx) => `${x(idx)},${y(row[value])}`).join(' ');
+  const markers = rows
+    .map(
+      (row, idx) =>
+        `<circle cx="${x(idx)}" cy="${y(row[value])}" r="3" fill="${PALETTE[0]}"><title>${escapeHtml(`${row[label]}: ${formatNumber(row[value])}`)}</title></circle>`
+    )
+    .join('');
+  const labels = rows
+    .map((row, idx) =>
+      idx % labelEvery === 0
+        ? text(x(idx), height - margin.bottom + 18, row[label], 'text-anchor="middle"')
+        : ''
+    )
+    .join('');
+
+  return svg(
+    width,
+    height,
+    `${gridLines}<polyline points="${points}" fill="none" stroke="${PALETTE[0]}" stroke-width="2"/>${markers}${labels}`
+  );
+};
+
+export const barChart = (rows, { label, value, width = 720, barHeight = 22 }) => {
+  if (!rows.length) {
+    return empty();
+  }
+
+  const labelWidth = 200;
+  const valueWidth = 110;
+  const plotWidth = width - labelWidth - valueWidth;
+  const max = Math.max(...rows.map((row) => row[value]), 0) || 1;
+
+  const bars = rows
+    .map((row, idx) => {
+      const y = idx * (barHeight + 6);
+      const barWidth = Math.max((row[value] / max) * plotWidth, 1);
+      return `${text(labelWidth - 8, y + barHeight * 0.7, row[label], 'text-anchor="end"')}<rect x="${labelWidth}" y="${y}" width="${barWidth}" height="${barHeight}" fill="${PALETTE[idx % PALETTE.length]}"/>${text(labelWidth + barWidth + 6, y + barHeight * 0.7, formatNumber(row[value]))}`;
+    })
+    .join('');
+
+  return svg(width, rows.length * (barHeight + 6), bars);
+};
+
+// Each row becomes one horizontal bar split into the given series, with a
+// legend mapping series to colours.
+export const stackedBarChart = (rows, { label, series, width = 720, barHeight = 22 }) => {
+  if (!rows.length) {
+    return empty();
+  }
+
+  const labelWidth = 200;
+  const legendHeight = 28;
+  const plotWidth = width - labelWidth - 20;
+  const totals = rows.map((row) => series.reduce((sum, { key }) => sum + row[key], 0));
+  const max = Math.max(...totals, 0) || 1;
+
+  const legend = series
+    .map(
+      ({ name }, idx) =>
+        `<rect x="${labelWidth + idx * 130}" y="0" width="12" height="12" fill="${PALETTE[idx % PALETTE.length]}"/>${text(labelWidth + idx * 130 + 18, 11, name)}`
+    )
+    .join('');
+  const bars = rows
+    .map((row, rowIdx) => {
+      const y = legendHeight + rowIdx * (barHeight + 6);
+      let offset = labelWidth;
+      const segments = series
+        .map(({ key, name }, idx) => {
+          const segmentWidth = (row[key] / max) * plotWidth;
+          const segment = `<rect x="${offset}" y="${y}" width="${segmentWidth}" height="${barHeight}" fill="${PALETTE[idx % PALETTE.length]}"><title>${escapeHtml(`${row[label]} ${name}: ${formatNumber(row[key])}`)}</title></rect>`;
+          offset += segmentWidth;
+          return segment;
+        })
+        .join('');
+      return `${text(labelWidth - 8, y + barHeight * 0.7, row[label], 'text-anchor="end"')}${segments}`;
+    })
+    .join('');
+
+  return svg(width, legendHeight + rows.length * (barHeight + 6), `${legend}${bars}`);
+};
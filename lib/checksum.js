@@ -0,0 +1,11 @@
+import { createHash } from 'crypto';
+import { createReadStream } from 'fs';
+
+export const checksumFile = (filePath) =>
+  new Promise((resolve, reject) => {
+    const hash = createHash('sha256');
+    createReadStream(filePath)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', (error) => reject(error));
+  });
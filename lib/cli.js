@@ -0,0 +1,78 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const parseValue = (name, type, rawValue) => {
+  if (type === 'integer') {
+    const value = Number(rawValue);
+    if (!Number.isInteger(value)) {
+      throw new Error(`Invalid integer value for --${name}: "${rawValue}"`);
+    }
+    return value;
+  }
+
+  if (type === 'number') {
+    const value = Number(rawValue);
+    if (rawValue === '' || Number.isNaN(value)) {
+      throw new Error(`Invalid numeric value for --${name}: "${rawValue}"`);
+    }
+    return value;
+  }
+
+  return rawValue;
+};
+
+export const parseArgs = (argv, spec) => {
+  const options = {};
+  const positionals = [];
+
+  for (const [name, definition] of Object.entries(spec)) {
+    if (definition.default !== undefined) {
+      options[name] = definition.default;
+    } else if (definition.type === 'boolean') {
+      options[name] = false;
+    }
+  }
+
+  for (let idx = 0; idx < argv.length; idx += 1) {
+    const arg = argv[idx];
+
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const [flag, inlineValue] = arg.slice(2).split(/=(.*)/s, 2);
+    const definition = spec[flag];
+
+    if (!definition) {
+      throw new Error(`Unknown option --${flag}`);
+    }
+
+    if (definition.type === 'boolean') {
+      if (inlineValue !== undefined) {
+        throw new Error(`Option --${flag} does not take a value`);
+      }
+      options[flag] = true;
+      continue;
+    }
+
+    let rawValue = inlineValue;
+    if (rawValue === undefined) {
+      rawValue = argv[idx + 1];
+      idx += 1;
+    }
+
+    if (rawValue === undefined) {
+      throw new Error(`Missing value for --${flag}`);
+    }
+
+    options[flag] = parseValue(flag, definition.type, rawValue);
+  }
+
+  return { options, positionals };
+};
+
+// True when the module was started with `node <file>` rather than imported,
+// so scripts can export their entry point to the pipeline and still run alone.
+export const isMain = (moduleUrl) =>
+  process.argv[1] !== undefined && path.resolve(process.argv[1]) === fileURLToPath(moduleUrl);
@@ -0,0 +1,59 @@
+const round = (value, digits = 2) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+const ratio = (numerator, denominator) => (denominator ? numerator / denominator : 0);
+
+// Turns (cohort_month, cohort_size, months_since_signup, active_customers) rows
+// into one row per cohort with a column per month offset: m0 is the signup
+// month, m1 the month after, and so on. Offsets the data has not reached yet
+// are left empty rather than reported as zero.
+export const pivotRetention = (rows, { months, lastMonthIndex }) => {
+  const cohorts = new Map();
+
+  for (const row of rows) {
+    if (!cohorts.has(row.cohort_month)) {
+      cohorts.set(row.cohort_month, {
+        cohortIndex: row.cohort_index,
+        size: row.cohort_size,
+        active: new Map(),
+      });
+    }
+    if (row.months_since_signup !== null) {
+      cohorts.get(row.cohort_month).active.set(row.months_since_signup, row.active_customers);
+    }
+  }
+
+  return [...cohorts].map(([cohortMonth, { cohortIndex, size, active }]) => {
+    const result = { cohort: cohortMonth, customers: size };
+    for (let offset = 0; offset < months; offset += 1) {
+      result[`m${offset}`] = cohortIndex + offset <= lastMonthIndex ? active.get(offset) ?? 0 : null;
+    }
+    return result;
+  });
+};
+
+// Historical CLV is what a cohort's customers have spent so far. Predicted CLV
+// adds the expected spend over the next horizon months, assuming each
+// customer keeps ordering at the cohort's observed monthly rate and average
+// order value.
+export const cohortValue = (rows, { horizon }) =>
+  rows.map((row) => {
+    const avgOrderValue = ratio(row.revenue, row.orders);
+    const monthlyOrderRate = ratio(row.orders, row.customers * row.observed_months);
+    const historicalClv = ratio(row.revenue, row.customers);
+
+    return {
+      cohort: row.cohort_month,
+      customers: row.customers,
+      buyers: row.buyers,
+      repeat_rate_pct: round(100 * ratio(row.repeat_buyers, row.buyers), 1),
+      orders: row.orders,
+      revenue: round(row.revenue),
+      avg_order_value: round(avgOrderValue),
+      purchase_frequency: round(ratio(row.orders, row.buyers)),
+      historical_clv: round(historicalClv),
+      predicted_clv: round(historicalClv + avgOrderValue * monthlyOrderRate * horizon),
+    };
+  });
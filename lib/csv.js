@@ -0,0 +1,60 @@
+import { createWriteStream } from 'fs';
+import { once } from 'events';
+
+export const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const str = String(value);
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+export const toCsvLine = (record, headers) =>
+  headers.map((header) => escapeCsvValue(record[header])).join(',');
+
+export const createCsvWriter = (filePath, headers) => {
+  const stream = createWriteStream(filePath, { encoding: 'utf8' });
+  let streamError = null;
+  let rowCount = 0;
+
+  stream.on('error', (error) => {
+    streamError = error;
+  });
+  stream.write(headers.join(','));
+
+  const write = async (record) => {
+    if (streamError) {
+      throw streamError;
+    }
+
+    rowCount += 1;
+    if (!stream.write(`\n${toCsvLine(record, headers)}`)) {
+      await once(stream, 'drain');
+    }
+  };
+
+  const close = () =>
+    new Promise((resolve, reject) => {
+      if (streamError) {
+        reject(streamError);
+        return;
+      }
+      stream.end((error) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      });
+    });
+
+  return {
+    filePath,
+    write,
+    close,
+    get rowCount() {
+      return rowCount;
+    },
+  };
+};
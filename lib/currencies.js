@@ -0,0 +1,151 @@
+import { Faker, en } from '@faker-js/faker';
+
+// Product list prices are kept in the base currency; orders are priced in the
+// customer's currency at that day's exchange rate.
+export const BASE_CURRENCY = 'USD';
+
+// Units of each currency per US dollar on the first generated day.
+const STARTING_RATES = {
+  USD: 1,
+  EUR: 0.92,
+  GBP: 0.79,
+  JPY: 151.5,
+  CNY: 7.21,
+  INR: 83.3,
+  CAD: 1.36,
+  AUD: 1.52,
+  NZD: 1.66,
+  CHF: 0.9,
+  SEK: 10.6,
+  NOK: 10.8,
+  DKK: 6.87,
+  PLN: 3.98,
+  CZK: 23.2,
+  HUF: 362,
+  TRY: 32.1,
+  KRW: 1345,
+  SGD: 1.35,
+  HKD: 7.83,
+  BRL: 5.05,
+  MXN: 16.9,
+  ZAR: 18.6,
+};
+
+const CURRENCY_COUNTRIES = {
+  EUR: [
+    'Aland Islands',
+    'Andorra',
+    'Austria',
+    'Belgium',
+    'Croatia',
+    'Cyprus',
+    'Estonia',
+    'Finland',
+    'France',
+    'French Guiana',
+    'Germany',
+    'Greece',
+    'Guadeloupe',
+    'Holy See (Vatican City State)',
+    'Ireland',
+    'Italy',
+    'Latvia',
+    'Lithuania',
+    'Luxembourg',
+    'Malta',
+    'Martinique',
+    'Mayotte',
+    'Monaco',
+    'Montenegro',
+    'Netherlands',
+    'Portugal',
+    'Reunion',
+    'Saint Barthelemy',
+    'Saint Martin',
+    'Saint Pierre and Miquelon',
+    'San Marino',
+    'Slovakia',
+    'Slovenia',
+    'Spain',
+  ],
+  GBP: ['United Kingdom', 'Guernsey', 'Isle of Man', 'Jersey'],
+  JPY: ['Japan'],
+  CNY: ['China'],
+  INR: ['India'],
+  CAD: ['Canada'],
+  AUD: [
+    'Australia',
+    'Christmas Island',
+    'Cocos (Keeling) Islands',
+    'Heard Island and McDonald Islands',
+    'Kiribati',
+    'Nauru',
+    'Norfolk Island',
+    'Tuvalu',
+  ],
+  NZD: ['New Zealand', 'Cook Islands', 'Niue', 'Pitcairn Islands', 'Tokelau'],
+  CHF: ['Switzerland', 'Liechtenstein'],
+  SEK: ['Sweden'],
+  NOK: ['Norway', 'Bouvet Island', 'Svalbard & Jan Mayen Islands'],
+  DKK: ['Denmark', 'Faroe Islands', 'Greenland'],
+  PLN: ['Poland'],
+  CZK: ['Czechia'],
+  HUF: ['Hungary'],
+  TRY: ['Turkey'],
+  KRW: ['Republic of Korea'],
+  SGD: ['Singapore'],
+  HKD: ['Hong Kong'],
+  BRL: ['Brazil'],
+  MXN: ['Mexico'],
+  ZAR: ['South Africa'],
+};
+
+const COUNTRY_CURRENCY = new Map(
+  Object.entries(CURRENCY_COUNTRIES).flatMap(([currency, countries]) =>
+    countries.map((country) => [country, currency])
+  )
+);
+
+export const CURRENCIES = Object.keys(STARTING_RATES);
+
+// Countries without a currency of their own in the list are charged in the
+// base currency, as a store would settle them in US dollars.
+export const currencyForCountry = (country) => COUNTRY_CURRENCY.get(country) ?? BASE_CURRENCY;
+
+const DAILY_VOLATILITY = 0.005;
+
+// Daily rates follow a random walk from the starting rates. A separate faker
+// instance keeps the rest of a seeded dataset identical to what it was before
+// rates were generated.
+export const generateExchangeRates = ({ seed, firstDay, dayCount }) => {
+  const random = new Faker({ locale: [en] });
+  random.seed(seed);
+
+  const rates = new Map(
+    CURRENCIES.map((currency) => [currency, new Float64Array(dayCount)])
+  );
+  for (const [currency, series] of rates) {
+    let rate = STARTING_RATES[currency];
+    for (let offset = 0; offset < dayCount; offset += 1) {
+      if (currency !== BASE_CURRENCY && offset > 0) {
+        rate *= 1 + random.number.float({ min: -DAILY_VOLATILITY, max: DAILY_VOLATILITY });
+      }
+      series[offset] = Number(rate.toPrecision(6));
+    }
+  }
+
+  return {
+    rate: (currency, day) => rates.get(currency)[day - firstDay],
+    *rows(formatDay) {
+      for (let offset = 0; offset < dayCount; offset += 1) {
+        for (const currency of CURRENCIES) {
+          yield {
+            rate_date: formatDay(firstDay + offset),
+            currency,
+            rate: rates.get(currency)[offset],
+          };
+        }
+      }
+    },
+  };
+};
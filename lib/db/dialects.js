@@ -0,0 +1,60 @@
+// SQL fragments that differ between backends. Schema migrations and report
+// queries build their SQL through these helpers instead of hard-coding one
+// engine's functions.
+export const DIALECTS = {
+  sqlite: {
+    name: 'sqlite',
+    real: 'REAL',
+    month: (expr) => `STRFTIME('%Y-%m', ${expr})`,
+    monthIndex: (expr) =>
+      `(CAST(STRFTIME('%Y', ${expr}) AS INTEGER) * 12 + CAST(STRFTIME('%m', ${expr}) AS INTEGER))`,
+    date: (expr) => `DATE(${expr})`,
+    groupConcat: (expr, separator) => `GROUP_CONCAT(${expr}, ${separator})`,
+    daysBetween: (from, to) => `(JULIANDAY(${to}) - JULIANDAY(${from}))`,
+    addDays: (expr, days) => `DATE(${expr}, (${days}) || ' days')`,
+    autoIncrement: (sequenceName, column) => ({
+      setup: [],
+      teardown: [],
+      column: `${column} INTEGER PRIMARY KEY AUTOINCREMENT`,
+    }),
+    addColumn: (tableName, column, type, defaultValue) =>
+      `ALTER TABLE ${tableName} ADD COLUMN ${column} ${type} NOT NULL DEFAULT ${defaultValue};`,
+    foreignKey: (column, reference, { onDelete = 'CASCADE' } = {}) =>
+      `FOREIGN KEY (${column}) REFERENCES ${reference} ON DELETE ${onDelete} ON UPDATE CASCADE`,
+    explain: (sql) => `EXPLAIN QUERY PLAN ${sql}`,
+  },
+  // DuckDB cannot alter tables that foreign keys depend on, so references are
+  // left to the loader's validation pass rather than declared in the schema.
+  duckdb: {
+    name: 'duckdb',
+    real: 'DOUBLE',
+    month: (expr) => `STRFTIME(DATE_TRUNC('month', CAST(${expr} AS TIMESTAMP)), '%Y-%m')`,
+    monthIndex: (expr) =>
+      `(YEAR(CAST(${expr} AS TIMESTAMP)) * 12 + MONTH(CAST(${expr} AS TIMESTAMP)))`,
+    date: (expr) => `CAST(CAST(${expr} AS TIMESTAMP) AS DATE)`,
+    groupConcat: (expr, separator) => `STRING_AGG(${expr}, ${separator})`,
+    daysBetween: (from, to) =>
+      `(EPOCH(CAST(${to} AS TIMESTAMP) - CAST(${from} AS TIMESTAMP)) / 86400.0)`,
+    addDays: (expr, days) =>
+      `CAST(CAST(CAST(${expr} AS TIMESTAMP) AS DATE) + CAST(${days} AS INTEGER) AS VARCHAR)`,
+    autoIncrement: (sequenceName, column) => ({
+      setup: [`CREATE SEQUENCE IF NOT EXISTS ${sequenceName};`],
+      teardown: [`DROP SEQUENCE IF EXISTS ${sequenceName};`],
+      column: `${column} INTEGER PRIMARY KEY DEFAULT nextval('${sequenceName}')`,
+    }),
+    // Added columns cannot carry constraints; the default still backfills rows.
+    addColumn: (tableName, column, type, defaultValue) =>
+      `ALTER TABLE ${tableName} ADD COLUMN ${column} ${type} DEFAULT ${defaultValue};`,
+    foreignKey: () => null,
+    explain: (sql) => `EXPLAIN ${sql}`,
+  },
+};
+
+// Foreign key constraints to append to a CREATE TABLE column list, each given as
+// [column, reference, options]; empty on backends that do not declare them.
+export const withForeignKeys = (dialect, references) =>
+  references
+    .map(([column, reference, options]) => dialect.foreignKey(column, reference, options))
+    .filter(Boolean)
+    .map((constraint) => `,\n    ${constraint}`)
+    .join('');
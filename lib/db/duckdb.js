@@ -0,0 +1,126 @@
+import { DIALECTS } from './dialects.js';
+import { createBulkInsert, createTransaction } from './shared.js';
+
+const importDriver = async () => {
+  try {
+    return await import('@duckdb/node-api');
+  } catch (error) {
+    throw new Error(
+      `The duckdb client needs the optional @duckdb/node-api package (npm install @duckdb/node-api): ${error.message}`
+    );
+  }
+};
+
+// Integer aggregates come back as bigint and dates, decimals and timestamps as
+// DuckDB value objects; reports expect the plain numbers and strings SQLite returns.
+const toPlainValue = (value) => {
+  if (typeof value === 'bigint') {
+    return Number(value);
+  }
+  if (value !== null && typeof value === 'object') {
+    return String(value);
+  }
+  return value;
+};
+
+const toPlainRow = (row) =>
+  Object.fromEntries(Object.entries(row).map(([key, value]) => [key, toPlainValue(value)]));
+
+export const createAdapter = async (filePath, { readOnly = false } = {}) => {
+  const { DuckDBInstance } = await importDriver();
+  const instance = await DuckDBInstance.create(
+    filePath,
+    readOnly ? { access_mode: 'READ_ONLY' } : {}
+  );
+  const connection = await instance.connect();
+
+  const run = async (sql, params = []) => {
+    const result = await connection.run(sql, params);
+    return { changes: Number(result.rowsChanged), lastId: null };
+  };
+
+  const all = async (sql, params = []) => {
+    const reader = await connection.runAndReadAll(sql, params);
+    return reader.getRowObjects().map(toPlainRow);
+  };
+
+  const exec = async (sql) => {
+    await connection.run(sql);
+  };
+
+  const prepare = async (sql) => {
+    const statement = await connection.prepare(sql);
+    return {
+      run: async (params = []) => {
+        statement.bind(params);
+        await statement.run();
+      },
+      finalize: async () => statement.destroySync(),
+    };
+  };
+
+  const transaction = createTransaction(run);
+
+  const dropSecondaryIndexes = async (tableName) => {
+    const indexes = await all(
+      'SELECT index_name AS name, sql FROM duckdb_indexes() WHERE table_name = ? AND sql IS NOT NULL',
+      [tableName]
+    );
+
+    for (const index of indexes) {
+      await run(`DROP INDEX ${index.name}`);
+    }
+
+    return indexes;
+  };
+
+  const createIndexes = async (indexes) => {
+    for (const index of indexes) {
+      await run(index.sql);
+    }
+  };
+
+  const describeTables = async () => {
+    const tables = await all('SELECT table_name AS name, sql FROM duckdb_tables() ORDER BY table_name');
+
+    return Promise.all(
+      tables.map(async (table) => ({
+        ...table,
+        columns: await all(
+          `SELECT column_name AS name, data_type AS type
+          FROM duckdb_columns()
+          WHERE table_name = ?
+          ORDER BY column_index`,
+          [table.name]
+        ),
+        indexes: await all(
+          'SELECT index_name AS name, sql FROM duckdb_indexes() WHERE table_name = ? AND sql IS NOT NULL',
+          [table.name]
+        ),
+      }))
+    );
+  };
+
+  const close = async () => {
+    connection.disconnectSync();
+    instance.closeSync();
+  };
+
+  return {
+    client: 'duckdb',
+    dialect: DIALECTS.duckdb,
+    filePath,
+    run,
+    all,
+    exec,
+    prepare,
+    transaction,
+    bulkInsert: createBulkInsert({ prepare, transaction }),
+    beginBulkLoad: async () => {},
+    endBulkLoad: async () => {},
+    dropSecondaryIndexes,
+    createIndexes,
+    describeTables,
+    close,
+  };
+};
@@ -0,0 +1,40 @@
+import { rm } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const ROOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+
+// Drivers are imported on demand so the optional DuckDB package is only
+// required when that client is configured.
+const CLIENTS = {
+  sqlite: { defaultFile: 'ecommerce.db', load: () => import('./sqlite.js') },
+  duckdb: { defaultFile: 'ecommerce.duckdb', load: () => import('./duckdb.js') },
+};
+
+const SIDECAR_SUFFIXES = ['', '-journal', '-wal', '-shm', '.wal'];
+
+export const getDatabaseConfig = (env = process.env) => {
+  const client = env.ECOMMERCE_DB_CLIENT || 'sqlite';
+
+  if (!(client in CLIENTS)) {
+    throw new Error(
+      `Unknown ECOMMERCE_DB_CLIENT "${client}". Use one of: ${Object.keys(CLIENTS).join(', ')}`
+    );
+  }
+
+  return {
+    client,
+    filePath: path.resolve(ROOT_DIR, env.ECOMMERCE_DB_PATH || CLIENTS[client].defaultFile),
+  };
+};
+
+export const openDatabase = async (config = getDatabaseConfig(), options = {}) => {
+  const { createAdapter } = await CLIENTS[config.client].load();
+  return createAdapter(config.filePath, options);
+};
+
+export const removeDatabase = async (config = getDatabaseConfig()) => {
+  for (const suffix of SIDECAR_SUFFIXES) {
+    await rm(`${config.filePath}${suffix}`, { force: true });
+  }
+};
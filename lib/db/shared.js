@@ -0,0 +1,93 @@
+const MAX_VARIABLES = 999;
+
+// primaryKey is a column name, or an array of names for a composite key.
+const buildUpsertSql = (tableName, columns, primaryKey, rowCount) => {
+  const keyColumns = [primaryKey].flat();
+  const placeholders = `(${columns.map(() => '?').join(', ')})`;
+  const updates = columns
+    .filter((column) => !keyColumns.includes(column))
+    .map((column) => `${column} = excluded.${column}`)
+    .join(', ');
+
+  return `INSERT INTO ${tableName} (${columns.join(', ')})
+    VALUES ${Array.from({ length: rowCount }, () => placeholders).join(', ')}
+    ON CONFLICT (${keyColumns.join(', ')}) DO UPDATE SET ${updates}`;
+};
+
+// transaction() runs a callback inside BEGIN/COMMIT. A call made while a
+// transaction is already open joins it, so callers can group work that opens
+// transactions of its own.
+export const createTransaction = (run) => {
+  let active = false;
+
+  const transaction = async (callback) => {
+    if (active) {
+      return callback();
+    }
+
+    await run('BEGIN TRANSACTION');
+    active = true;
+    try {
+      const result = await callback();
+      await run('COMMIT');
+      return result;
+    } catch (error) {
+      await run('ROLLBACK');
+      throw error;
+    } finally {
+      active = false;
+    }
+  };
+
+  return transaction;
+};
+
+// Upserts rows from any (async) iterable using one reused multi-row prepared
+// statement. The rows go in as one transaction, or join the caller's, so a
+// failed insert keeps none of them. Adapters supply prepare() and
+// transaction(), where a prepared statement exposes run(params) and finalize().
+export const createBulkInsert =
+  ({ prepare, transaction }) =>
+  async ({ tableName, columns, primaryKey, rows }) => {
+    const rowsPerStatement = Math.max(1, Math.floor(MAX_VARIABLES / columns.length));
+    const statement = await prepare(
+      buildUpsertSql(tableName, columns, primaryKey, rowsPerStatement)
+    );
+    let params = [];
+    let batchRows = 0;
+    let insertedRows = 0;
+
+    try {
+      await transaction(async () => {
+        for await (const row of rows) {
+          for (const column of columns) {
+            params.push(row[column]);
+          }
+          batchRows += 1;
+
+          if (batchRows === rowsPerStatement) {
+            await statement.run(params);
+            insertedRows += batchRows;
+            params = [];
+            batchRows = 0;
+          }
+        }
+
+        if (batchRows) {
+          const tailStatement = await prepare(
+            buildUpsertSql(tableName, columns, primaryKey, batchRows)
+          );
+          try {
+            await tailStatement.run(params);
+          } finally {
+            await tailStatement.finalize();
+          }
+          insertedRows += batchRows;
+        }
+      });
+    } finally {
+      await statement.finalize();
+    }
+
+    return insertedRows;
+  };
@@ -0,0 +1,152 @@
+import sqlite3 from 'sqlite3';
+import { DIALECTS } from './dialects.js';
+import { createBulkInsert, createTransaction } from './shared.js';
+
+const sqlite = sqlite3.verbose();
+
+const BULK_LOAD_PRAGMAS = {
+  fast: ['PRAGMA journal_mode = MEMORY;', 'PRAGMA synchronous = OFF;'],
+  durable: ['PRAGMA journal_mode = WAL;', 'PRAGMA synchronous = NORMAL;'],
+};
+const SHARED_BULK_LOAD_PRAGMAS = ['PRAGMA temp_store = MEMORY;', 'PRAGMA cache_size = -131072;'];
+const RESTORED_PRAGMAS = ['PRAGMA journal_mode = DELETE;', 'PRAGMA synchronous = FULL;'];
+
+const callback = (resolve, reject) => (error, result) => {
+  if (error) {
+    reject(error);
+  } else {
+    resolve(result);
+  }
+};
+
+const openConnection = (filePath, mode) =>
+  new Promise((resolve, reject) => {
+    const db = new sqlite.Database(filePath, mode, (error) => {
+      if (error) {
+        reject(error);
+      } else {
+        resolve(db);
+      }
+    });
+  });
+
+const prepareStatement = (db, sql) =>
+  new Promise((resolve, reject) => {
+    const statement = db.prepare(sql, (error) => {
+      if (error) {
+        reject(error);
+        return;
+      }
+      resolve({
+        run: (params = []) =>
+          new Promise((resolveRun, rejectRun) => {
+            statement.run(params, callback(resolveRun, rejectRun));
+          }),
+        finalize: () =>
+          new Promise((resolveFinalize) => {
+            statement.finalize(() => resolveFinalize());
+          }),
+      });
+    });
+  });
+
+export const createAdapter = async (filePath, { readOnly = false } = {}) => {
+  const db = await openConnection(
+    filePath,
+    readOnly ? sqlite.OPEN_READONLY : sqlite.OPEN_READWRITE | sqlite.OPEN_CREATE
+  );
+
+  const run = (sql, params = []) =>
+    new Promise((resolve, reject) => {
+      db.run(sql, params, function (error) {
+        if (error) {
+          reject(error);
+        } else {
+          resolve({ changes: this.changes, lastId: this.lastID });
+        }
+      });
+    });
+
+  const all = (sql, params = []) =>
+    new Promise((resolve, reject) => {
+      db.all(sql, params, callback(resolve, reject));
+    });
+
+  const exec = (sql) =>
+    new Promise((resolve, reject) => {
+      db.exec(sql, callback(resolve, reject));
+    });
+
+  const runEach = async (statements) => {
+    for (const statement of statements) {
+      await run(statement);
+    }
+  };
+
+  const prepare = (sql) => prepareStatement(db, sql);
+
+  const transaction = createTransaction(run);
+
+  const dropSecondaryIndexes = async (tableName) => {
+    const indexes = await all(
+      "SELECT name, sql FROM sqlite_master WHERE type = 'index' AND tbl_name = ? AND sql IS NOT NULL",
+      [tableName]
+    );
+
+    for (const index of indexes) {
+      await run(`DROP INDEX ${index.name}`);
+    }
+
+    return indexes;
+  };
+
+  const createIndexes = (indexes) => runEach(indexes.map((index) => index.sql));
+
+  const describeTables = async () => {
+    const tables = await all(
+      "SELECT name, sql FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name"
+    );
+
+    return Promise.all(
+      tables.map(async (table) => ({
+        ...table,
+        columns: (await all(`PRAGMA table_info(${table.name})`)).map(({ name, type }) => ({
+          name,
+          type,
+        })),
+        indexes: await all(
+          "SELECT name, sql FROM sqlite_master WHERE type = 'index' AND tbl_name = ? AND sql IS NOT NULL",
+          [table.name]
+        ),
+      }))
+    );
+  };
+
+  const close = () =>
+    new Promise((resolve, reject) => {
+      db.close(callback(resolve, reject));
+    });
+
+  await run('PRAGMA foreign_keys = ON;');
+
+  return {
+    client: 'sqlite',
+    dialect: DIALECTS.sqlite,
+    filePath,
+    run,
+    all,
+    exec,
+    prepare,
+    transaction,
+    bulkInsert: createBulkInsert({ prepare, transaction }),
+    // A fast bulk load trades durability for speed and is only safe when the
+    // database is being rebuilt from scratch.
+    beginBulkLoad: ({ durable }) =>
+      runEach([...BULK_LOAD_PRAGMAS[durable ? 'durable' : 'fast'], ...SHARED_BULK_LOAD_PRAGMAS]),
+    endBulkLoad: () => runEach(RESTORED_PRAGMAS),
+    dropSecondaryIndexes,
+    createIndexes,
+    describeTables,
+    close,
+  };
+};
@@ -0,0 +1,197 @@
+import { faker } from '@faker-js/faker';
+import { versionAt } from './history.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+export const CARRIERS = [
+  { value: { name: 'UPS', minTransitDays: 1, maxTransitDays: 5 }, weight: 35 },
+  { value: { name: 'FedEx', minTransitDays: 1, maxTransitDays: 4 }, weight: 25 },
+  { value: { name: 'USPS', minTransitDays: 2, maxTransitDays: 7 }, weight: 25 },
+  { value: { name: 'DHL', minTransitDays: 2, maxTransitDays: 9 }, weight: 15 },
+];
+
+export const RETURN_REASONS = [
+  { value: 'Defective', weight: 20 },
+  { value: 'Damaged in transit', weight: 12 },
+  { value: 'Not as described', weight: 18 },
+  { value: 'Wrong item sent', weight: 8 },
+  { value: 'No longer needed', weight: 27 },
+  { value: 'Better price elsewhere', weight: 15 },
+];
+
+export const FULFILLMENT_LIFECYCLE = {
+  minProcessingHours: 2,
+  maxProcessingHours: 72,
+  cancelAfterHours: 48,
+  returnWindowDays: 30,
+  minReturnTransitDays: 2,
+  maxReturnTransitDays: 10,
+  partialReturnShare: 0.3,
+  returnRates: {
+    Electronics: 0.07,
+    'Home & Kitchen': 0.05,
+    Books: 0.02,
+    Clothing: 0.14,
+    'Sports & Outdoors': 0.05,
+    Beauty: 0.04,
+    Toys: 0.04,
+    Automotive: 0.03,
+  },
+};
+
+const laterDate = (from, minMs, maxMs) =>
+  new Date(from.getTime() + faker.number.int({ min: minMs, max: maxMs }));
+
+// Return rates follow the category the product had when it was ordered.
+const returnLines = ({
+  order,
+  orderItems,
+  productVersions,
+  deliveredAt,
+  refDate,
+  nextReturnId,
+}) => {
+  const returns = [];
+
+  for (const item of orderItems) {
+    const { category } = versionAt(productVersions[item.product_id - 1], order.order_date);
+    if (!faker.datatype.boolean(FULFILLMENT_LIFECYCLE.returnRates[category])) {
+      continue;
+    }
+
+    const requestedAt = laterDate(
+      deliveredAt,
+      HOUR_MS,
+      FULFILLMENT_LIFECYCLE.returnWindowDays * DAY_MS
+    );
+    if (requestedAt > refDate) {
+      continue;
+    }
+
+    const receivedAt = laterDate(
+      requestedAt,
+      FULFILLMENT_LIFECYCLE.minReturnTransitDays * DAY_MS,
+      FULFILLMENT_LIFECYCLE.maxReturnTransitDays * DAY_MS
+    );
+    const quantity =
+      item.quantity > 1 && faker.datatype.boolean(FULFILLMENT_LIFECYCLE.partialReturnShare)
+        ? faker.number.int({ min: 1, max: item.quantity - 1 })
+        : item.quantity;
+
+    returns.push({
+      return_id: nextReturnId + returns.length,
+      order_item_id: item.order_item_id,
+      quantity,
+      return_reason: faker.helpers.weightedArrayElement(RETURN_REASONS),
+      requested_at: requestedAt.toISOString(),
+      received_at: receivedAt <= refDate ? receivedAt.toISOString() : null,
+      refund_payment_id: null,
+    });
+  }
+
+  return returns;
+};
+
+// Follows one order from placement to delivery and returns. An order whose
+// last charge attempt failed is cancelled once the payment window closes; a
+// paid order ships after processing, or once its backordered lines are
+// restocked (readyDate), and delivered lines may be returned within the
+// return window. Events after refDate have not happened yet, so an order can
+// stop at any stage.
+export const generateFulfillment = ({
+  order,
+  orderItems,
+  productVersions,
+  charges,
+  readyDate,
+  refDate,
+  nextShipmentId,
+  nextStatusId,
+  nextReturnId,
+}) => {
+  const statuses = [];
+  const addStatus = (status, date) => {
+    statuses.push({
+      status_id: nextStatusId + statuses.length,
+      order_id: order.order_id,
+      status,
+      status_date: date.toISOString(),
+    });
+  };
+  const result = { shipment: null, statuses, returns: [] };
+
+  addStatus('Placed', new Date(order.order_date));
+
+  const lastAttempt = charges[charges.length - 1];
+  const lastAttemptDate = new Date(lastAttempt.payment_date);
+  if (lastAttempt.payment_status === 'Failed') {
+    const cancelledAt = new Date(
+      lastAttemptDate.getTime() + FULFILLMENT_LIFECYCLE.cancelAfterHours * HOUR_MS
+    );
+    if (cancelledAt <= refDate) {
+      addStatus('Cancelled', cancelledAt);
+    }
+    return result;
+  }
+  if (lastAttempt.payment_status !== 'Completed') {
+    return result;
+  }
+
+  addStatus('Paid', lastAttemptDate);
+
+  const shippedAt = laterDate(
+    new Date(Math.max(lastAttemptDate.getTime(), readyDate.getTime())),
+    FULFILLMENT_LIFECYCLE.minProcessingHours * HOUR_MS,
+    FULFILLMENT_LIFECYCLE.maxProcessingHours * HOUR_MS
+  );
+  if (shippedAt > refDate) {
+    return result;
+  }
+
+  const carrier = faker.helpers.weightedArrayElement(CARRIERS);
+  const deliveredAt = laterDate(
+    shippedAt,
+    carrier.minTransitDays * DAY_MS,
+    carrier.maxTransitDays * DAY_MS
+  );
+  const delivered = deliveredAt <= refDate;
+
+  result.shipment = {
+    shipment_id: nextShipmentId,
+    order_id: order.order_id,
+    carrier: carrier.name,
+    tracking_number: faker.string.alphanumeric({ length: 12, casing: 'upper' }),
+    shipped_at: shippedAt.toISOString(),
+    delivered_at: delivered ? deliveredAt.toISOString() : null,
+  };
+  addStatus('Shipped', shippedAt);
+  if (!delivered) {
+    return result;
+  }
+
+  addStatus('Delivered', deliveredAt);
+  result.returns = returnLines({
+    order,
+    orderItems,
+    productVersions,
+    deliveredAt,
+    refDate,
+    nextReturnId,
+  });
+
+  const orderedUnits = orderItems.reduce((total, item) => total + item.quantity, 0);
+  let returnedUnits = 0;
+  const received = result.returns
+    .filter((orderReturn) => orderReturn.received_at)
+    .sort((a, b) => a.received_at.localeCompare(b.received_at));
+  for (const orderReturn of received) {
+    returnedUnits += orderReturn.quantity;
+    addStatus(
+      returnedUnits === orderedUnits ? 'Returned' : 'Partially Returned',
+      new Date(orderReturn.received_at)
+    );
+  }
+
+  return result;
+};
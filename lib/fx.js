@@ -0,0 +1,18 @@
+import { BASE_CURRENCY } from './currencies.js';
+
+export const CURRENCY_PARAM = { type: 'currency', default: BASE_CURRENCY };
+
+// Common table expression with the factor that converts an amount in each
+// currency into the reporting currency ($currency) on each day. Reports add it
+// to their WITH clause and join it with fxJoin on the day the amount applies to.
+export const FX_FACTORS = `
+  fx AS (
+    SELECT from_rate.rate_date, from_rate.currency, to_rate.rate / from_rate.rate AS factor
+    FROM fx_rates from_rate
+    INNER JOIN fx_rates to_rate
+      ON to_rate.rate_date = from_rate.rate_date AND to_rate.currency = $currency
+  )`;
+
+export const fxJoin = (alias, currencyColumn, dateColumn) =>
+  `LEFT JOIN fx ${alias} ON ${alias}.currency = ${currencyColumn}
+    AND ${alias}.rate_date = SUBSTR(${dateColumn}, 1, 10)`;
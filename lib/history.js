@@ -0,0 +1,111 @@
+import { faker } from '@faker-js/faker';
+
+export const HISTORY_SETTINGS = {
+  relocationProbability: 0.08,
+  emailChangeProbability: 0.1,
+  maxPriceChanges: 3,
+  minPriceChange: -0.2,
+  maxPriceChange: 0.15,
+  minPrice: 1,
+  recategorizeProbability: 0.05,
+};
+
+const changeTime = (fromTime, toTime) =>
+  faker.number.int({ min: fromTime + 1, max: toTime });
+
+// Turns a starting state and timed changes into SCD Type 2 versions: each
+// version is valid from valid_from up to, but not including, valid_to, and the
+// current version has no valid_to.
+const buildVersions = (initial, changes, fromTime) => {
+  const versions = [{ ...initial, valid_from: new Date(fromTime).toISOString(), valid_to: null }];
+
+  for (const { time, values } of changes.sort((a, b) => a.time - b.time)) {
+    const previous = versions[versions.length - 1];
+    const validFrom = new Date(time).toISOString();
+    if (validFrom === previous.valid_from) {
+      Object.assign(previous, values);
+      continue;
+    }
+    previous.valid_to = validFrom;
+    versions.push({ ...previous, ...values, valid_from: validFrom, valid_to: null });
+  }
+
+  return versions;
+};
+
+const localPart = (email) => email.slice(0, email.indexOf('@'));
+
+// A new address keeps the old local part and adds the customer id as stored,
+// which is offset past the existing customers in a --continue batch. Addresses
+// already in usedEmails, current or earlier, are skipped by picking another domain.
+const changedEmail = (email, customerId, usedEmails) => {
+  let candidate;
+  do {
+    candidate = `${localPart(email)}.${customerId}@${faker.internet.domainName()}`;
+  } while (usedEmails.has(candidate));
+  usedEmails.add(candidate);
+  return candidate;
+};
+
+// Customers may move to another country and may change their email address at
+// any time between signing up and toTime.
+export const generateCustomerVersions = (
+  customer,
+  fromTime,
+  toTime,
+  { customerId = customer.customer_id, usedEmails = new Set() } = {}
+) => {
+  const changes = [];
+
+  if (fromTime < toTime) {
+    if (faker.datatype.boolean(HISTORY_SETTINGS.relocationProbability)) {
+      let country = faker.location.country();
+      while (country === customer.country) {
+        country = faker.location.country();
+      }
+      changes.push({ time: changeTime(fromTime, toTime), values: { country } });
+    }
+    if (faker.datatype.boolean(HISTORY_SETTINGS.emailChangeProbability)) {
+      const email = changedEmail(customer.email, customerId, usedEmails);
+      changes.push({ time: changeTime(fromTime, toTime), values: { email } });
+    }
+  }
+
+  return buildVersions(customer, changes, fromTime);
+};
+
+// Products are repriced a few times and occasionally moved to another
+// category. Unit costs stay the same, so price changes move the margin.
+export const generateProductVersions = (product, categories, fromTime, toTime) => {
+  const changes = [];
+
+  if (fromTime < toTime) {
+    const priceChanges = faker.number.int({ min: 0, max: HISTORY_SETTINGS.maxPriceChanges });
+    const times = Array.from({ length: priceChanges }, () => changeTime(fromTime, toTime)).sort(
+      (a, b) => a - b
+    );
+    let price = Number(product.price);
+    for (const time of times) {
+      const change = faker.number.float({
+        min: HISTORY_SETTINGS.minPriceChange,
+        max: HISTORY_SETTINGS.maxPriceChange,
+      });
+      price = Math.max(HISTORY_SETTINGS.minPrice, Math.round(price * (1 + change) * 100) / 100);
+      changes.push({ time, values: { price: price.toFixed(2) } });
+    }
+
+    if (faker.datatype.boolean(HISTORY_SETTINGS.recategorizeProbability)) {
+      const category = faker.helpers.arrayElement(
+        categories.filter((candidate) => candidate !== product.category)
+      );
+      changes.push({ time: changeTime(fromTime, toTime), values: { category } });
+    }
+  }
+
+  return buildVersions(product, changes, fromTime);
+};
+
+// Versions are oldest first, so the version valid at a timestamp is the last
+// one that started at or before it.
+export const versionAt = (versions, timestamp) =>
+  versions.findLast((version) => version.valid_from <= timestamp);
@@ -0,0 +1,122 @@
+import { faker } from '@faker-js/faker';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const STOCKOUT_POLICIES = ['reject', 'backorder'];
+
+// Replays sales against per-product stock in chronological order. Every change
+// to stock is recorded as a movement so the final stock_quantity can be
+// recomputed from the movement history. Products at or below their reorder
+// point get a restock delivery after leadDays; with the backorder policy the
+// unavailable part of a line waits for that delivery instead of being rejected.
+export const createInventory = ({ products, policy, leadDays, startDate }) => {
+  const movements = [];
+  const stock = new Map();
+  const backlog = new Map();
+  const deliveries = new Map();
+  let nextMovementId = 1;
+
+  const record = (productId, movementType, quantity, date, orderItemId = null) => {
+    movements.push({
+      movement_id: nextMovementId++,
+      product_id: productId,
+      order_item_id: orderItemId,
+      movement_type: movementType,
+      quantity,
+      movement_date: date.toISOString(),
+    });
+    stock.set(productId, stock.get(productId) + quantity);
+  };
+
+  const settings = new Map(
+    products.map((product) => {
+      const restockQuantity = faker.number.int({ min: 100, max: 400 });
+      return [
+        product.product_id,
+        { restockQuantity, reorderPoint: Math.round(restockQuantity * 0.2) },
+      ];
+    })
+  );
+
+  for (const product of products) {
+    stock.set(product.product_id, 0);
+    backlog.set(product.product_id, []);
+    record(product.product_id, 'Initial', Number(product.stock_quantity), startDate);
+  }
+
+  const scheduleRestock = (productId, date) => {
+    const { reorderPoint } = settings.get(productId);
+    if (stock.get(productId) <= reorderPoint && !deliveries.has(productId)) {
+      deliveries.set(productId, date.getTime() + leadDays * DAY_MS);
+    }
+  };
+
+  const receiveDeliveries = (date) => {
+    for (const [productId, arrival] of deliveries) {
+      if (arrival > date.getTime()) {
+        continue;
+      }
+
+      const arrivalDate = new Date(arrival);
+      deliveries.delete(productId);
+      record(productId, 'Restock', settings.get(productId).restockQuantity, arrivalDate);
+
+      const pending = backlog.get(productId);
+      while (pending.length && stock.get(productId) > 0) {
+        const line = pending[0];
+        const shipped = Math.min(line.quantity, stock.get(productId));
+        record(productId, 'Backorder', -shipped, arrivalDate, line.orderItemId);
+        line.quantity -= shipped;
+        if (line.quantity === 0) {
+          pending.shift();
+        }
+      }
+
+      if (pending.length) {
+        deliveries.set(productId, arrival + leadDays * DAY_MS);
+      } else {
+        scheduleRestock(productId, arrivalDate);
+      }
+    }
+  };
+
+  const allocate = ({ productId, quantity, orderItemId, date }) => {
+    const available = stock.get(productId);
+
+    if (available < quantity && policy === 'reject') {
+      scheduleRestock(productId, date);
+      return false;
+    }
+
+    const sold = Math.min(available, quantity);
+    if (sold > 0) {
+      record(productId, 'Sale', -sold, date, orderItemId);
+    }
+    if (sold < quantity) {
+      backlog.get(productId).push({ orderItemId, quantity: quantity - sold });
+    }
+
+    scheduleRestock(productId, date);
+    return true;
+  };
+
+  // A line waiting in the backlog can only ship once the next restock arrives.
+  const availableDate = (productId, date) =>
+    backlog.get(productId).length ? new Date(deliveries.get(productId)) : date;
+
+  const drainMovements = () => movements.splice(0, movements.length);
+
+  const finalStock = (productId) => stock.get(productId);
+
+  const backorderedUnits = () =>
+    [...backlog.values()].flat().reduce((total, line) => total + line.quantity, 0);
+
+  return {
+    receiveDeliveries,
+    allocate,
+    availableDate,
+    drainMovements,
+    finalStock,
+    backorderedUnits,
+  };
+};
@@ -0,0 +1,150 @@
+import { readdir } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)-([\w-]+)\.js$/;
+
+export const loadMigrations = async (migrationsDir = MIGRATIONS_DIR) => {
+  const fileNames = (await readdir(migrationsDir)).filter((fileName) =>
+    MIGRATION_FILE_PATTERN.test(fileName)
+  );
+
+  const migrations = await Promise.all(
+    fileNames.map(async (fileName) => {
+      const [, version, name] = fileName.match(MIGRATION_FILE_PATTERN);
+      const { up, down } = await import(pathToFileURL(path.join(migrationsDir, fileName)));
+
+      if (![up, down].every((steps) => Array.isArray(steps) || typeof steps === 'function')) {
+        throw new Error(
+          `Migration ${fileName} must export "up" and "down" statement arrays or functions of the dialect`
+        );
+      }
+
+      return { version: Number(version), name, up, down };
+    })
+  );
+
+  migrations.sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, idx) => {
+    if (idx > 0 && migration.version === migrations[idx - 1].version) {
+      throw new Error(`Duplicate migration version ${migration.version}`);
+    }
+  });
+
+  return migrations;
+};
+
+const ensureSchemaVersionTable = (db) =>
+  db.run(
+    `CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    );`
+  );
+
+// Reads without creating schema_version, so read-only connections can check
+// their schema; a database that was never migrated has nothing applied.
+const getAppliedVersions = async (db) => {
+  const tables = await db.describeTables();
+  if (!tables.some((table) => table.name === 'schema_version')) {
+    return new Map();
+  }
+
+  const rows = await db.all('SELECT version, name, applied_at FROM schema_version');
+  return new Map(rows.map((row) => [row.version, row]));
+};
+
+// Migrations whose SQL differs between backends export functions that build
+// their statements from the connection's dialect.
+const resolveStatements = (db, steps) =>
+  typeof steps === 'function' ? steps(db.dialect) : steps;
+
+const applyMigration = async (db, migration, direction) => {
+  try {
+    await db.transaction(async () => {
+      for (const statement of resolveStatements(db, migration[direction])) {
+        await db.run(statement);
+      }
+
+      if (direction === 'up') {
+        await db.run('INSERT INTO schema_version (version, name, applied_at) VALUES (?, ?, ?)', [
+          migration.version,
+          migration.name,
+          new Date().toISOString(),
+        ]);
+      } else {
+        await db.run('DELETE FROM schema_version WHERE version = ?', [migration.version]);
+      }
+    });
+  } catch (error) {
+    throw new Error(
+      `Migration ${migration.version}-${migration.name} (${direction}) failed: ${error.message}`
+    );
+  }
+};
+
+export const migrateUp = async (db, targetVersion = Infinity) => {
+  const migrations = await loadMigrations();
+  await ensureSchemaVersionTable(db);
+  const applied = await getAppliedVersions(db);
+  const pending = migrations.filter(
+    (migration) => !applied.has(migration.version) && migration.version <= targetVersion
+  );
+
+  for (const migration of pending) {
+    await applyMigration(db, migration, 'up');
+    console.log(`Applied migration ${migration.version}-${migration.name}.`);
+  }
+
+  return pending;
+};
+
+// Without a target only the most recent migration is reverted; with one,
+// every applied migration newer than the target is reverted, newest first.
+export const migrateDown = async (db, targetVersion) => {
+  const migrations = await loadMigrations();
+  const applied = await getAppliedVersions(db);
+  const appliedMigrations = migrations.filter((migration) => applied.has(migration.version));
+  const reverted =
+    targetVersion === undefined
+      ? appliedMigrations.slice(-1)
+      : appliedMigrations.filter((migration) => migration.version > targetVersion);
+
+  for (const migration of reverted.reverse()) {
+    await applyMigration(db, migration, 'down');
+    console.log(`Reverted migration ${migration.version}-${migration.name}.`);
+  }
+
+  return reverted;
+};
+
+export const migrationStatus = async (db) => {
+  const migrations = await loadMigrations();
+  const applied = await getAppliedVersions(db);
+
+  return migrations.map((migration) => ({
+    version: migration.version,
+    name: migration.name,
+    status: applied.has(migration.version) ? 'applied' : 'pending',
+    applied_at: applied.get(migration.version)?.applied_at ?? null,
+  }));
+};
+
+// Scripts that only read the database call this at startup, so a schema that
+// is behind fails with a hint instead of a missing table or column error.
+export const assertSchemaCurrent = async (db) => {
+  const pending = (await migrationStatus(db)).filter(
+    (migration) => migration.status === 'pending'
+  );
+
+  if (pending.length > 0) {
+    const names = pending.map((migration) => `${migration.version}-${migration.name}`);
+    throw new Error(
+      `Database schema is missing migrations ${names.join(', ')}; run npm run migrate first`
+    );
+  }
+};
@@ -0,0 +1,146 @@
+import { faker } from '@faker-js/faker';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+export const PAYMENT_METHODS = [
+  'Credit Card',
+  'Debit Card',
+  'PayPal',
+  'Bank Transfer',
+  'Gift Card',
+];
+
+export const PAYMENT_LIFECYCLE = {
+  attemptOutcomes: [
+    { value: 'Completed', weight: 80 },
+    { value: 'Failed', weight: 12 },
+    { value: 'Pending', weight: 8 },
+  ],
+  maxAttempts: 3,
+  retryProbability: 0.7,
+  switchMethodProbability: 0.3,
+  maxRefundDelayHours: 48,
+  chargebackProbability: 0.015,
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const laterDate = (from, minMs, maxMs) =>
+  new Date(from.getTime() + faker.number.int({ min: minMs, max: maxMs }));
+
+const createPaymentRecorder = (order, nextPaymentId) => {
+  const payments = [];
+
+  const add = (payment) => {
+    const record = {
+      payment_id: nextPaymentId + payments.length,
+      order_id: order.order_id,
+      parent_payment_id: null,
+      payment_status: 'Completed',
+      currency: order.currency,
+      ...payment,
+      payment_date: payment.payment_date.toISOString(),
+    };
+    payments.push(record);
+    return record;
+  };
+
+  return { payments, add };
+};
+
+// Produces the charge attempts for one order; a failed attempt may be retried,
+// possibly with another method. Attempts that would fall after refDate have not
+// happened yet.
+export const generateCharges = (order, nextPaymentId, refDate) => {
+  const { payments, add } = createPaymentRecorder(order, nextPaymentId);
+  const amount = Number(order.total_amount);
+  let paymentMethod = faker.helpers.arrayElement(PAYMENT_METHODS);
+  let attemptDate = new Date(order.order_date);
+  let previousAttempt = null;
+
+  for (let attempt = 1; attempt <= PAYMENT_LIFECYCLE.maxAttempts; attempt += 1) {
+    const status = faker.helpers.weightedArrayElement(PAYMENT_LIFECYCLE.attemptOutcomes);
+    const paymentDate =
+      status === 'Pending'
+        ? attemptDate
+        : laterDate(attemptDate, 0, Math.max(0, Math.min(DAY_MS, refDate - attemptDate)));
+
+    previousAttempt = add({
+      parent_payment_id: previousAttempt?.payment_id ?? null,
+      payment_type: 'Charge',
+      payment_method: paymentMethod,
+      payment_status: status,
+      amount: amount.toFixed(2),
+      payment_date: paymentDate,
+    });
+
+    if (status !== 'Failed' || !faker.datatype.boolean(PAYMENT_LIFECYCLE.retryProbability)) {
+      break;
+    }
+
+    attemptDate = laterDate(paymentDate, HOUR_MS, 2 * DAY_MS);
+    if (attemptDate > refDate) {
+      break;
+    }
+    if (faker.datatype.boolean(PAYMENT_LIFECYCLE.switchMethodProbability)) {
+      paymentMethod = faker.helpers.arrayElement(PAYMENT_METHODS);
+    }
+  }
+
+  return payments;
+};
+
+// The last attempt decides whether an order was paid.
+export const settledCharge = (charges) => {
+  const lastAttempt = charges[charges.length - 1];
+  return lastAttempt.payment_status === 'Completed' ? lastAttempt : null;
+};
+
+// Refunds every returned line once the return has been received, linking the
+// return to its refund. An order without returns may instead be charged back.
+export const generateReversals = ({ order, charge, returns, orderItems, nextPaymentId, refDate }) => {
+  const { payments, add } = createPaymentRecorder(order, nextPaymentId);
+  const chargeDate = new Date(charge.payment_date);
+  const reversal = { parent_payment_id: charge.payment_id, payment_method: charge.payment_method };
+
+  if (returns.length) {
+    const unitPrices = new Map(orderItems.map((item) => [item.order_item_id, item.unit_price]));
+
+    for (const orderReturn of returns) {
+      if (!orderReturn.received_at) {
+        continue;
+      }
+
+      const refundDate = laterDate(
+        new Date(orderReturn.received_at),
+        0,
+        PAYMENT_LIFECYCLE.maxRefundDelayHours * HOUR_MS
+      );
+      if (refundDate <= refDate) {
+        const refund = add({
+          ...reversal,
+          payment_type: 'Refund',
+          amount: roundAmount(
+            orderReturn.quantity * Number(unitPrices.get(orderReturn.order_item_id))
+          ).toFixed(2),
+          payment_date: refundDate,
+        });
+        orderReturn.refund_payment_id = refund.payment_id;
+      }
+    }
+  } else if (faker.datatype.boolean(PAYMENT_LIFECYCLE.chargebackProbability)) {
+    const chargebackDate = laterDate(chargeDate, 20 * DAY_MS, 60 * DAY_MS);
+
+    if (chargebackDate <= refDate) {
+      add({
+        ...reversal,
+        payment_type: 'Chargeback',
+        amount: order.total_amount,
+        payment_date: chargebackDate,
+      });
+    }
+  }
+
+  return payments;
+};
@@ -0,0 +1,124 @@
+import { createHash } from 'crypto';
+import { access, readFile, writeFile } from 'fs/promises';
+import { checksumFile } from './checksum.js';
+import { openDatabase } from './db/index.js';
+
+const fileExists = (filePath) =>
+  access(filePath).then(
+    () => true,
+    () => false
+  );
+
+export const hashInputs = (inputs) =>
+  createHash('sha256').update(JSON.stringify(inputs)).digest('hex');
+
+// Missing files are recorded as null so that deleting one changes the result.
+export const checksumFiles = async (filePaths) =>
+  Object.fromEntries(
+    await Promise.all(
+      filePaths.map(async (filePath) => [
+        filePath,
+        (await fileExists(filePath)) ? await checksumFile(filePath) : null,
+      ])
+    )
+  );
+
+// Hashes the rows of a summary query, or returns null while the database or
+// the table it reads does not exist yet.
+export const queryVersion = async (config, sql) => {
+  if (!(await fileExists(config.filePath))) {
+    return null;
+  }
+
+  const db = await openDatabase(config, { readOnly: true });
+  try {
+    return hashInputs(await db.all(sql));
+  } catch {
+    return null;
+  } finally {
+    await db.close();
+  }
+};
+
+// Identifies the data in the database by its load history rather than by the
+// database file, which changes whenever a job writes derived tables.
+export const databaseVersion = async (config) => {
+  const loads = await queryVersion(
+    config,
+    'SELECT file_name, checksum, loaded_at FROM load_history ORDER BY load_id'
+  );
+  return loads && { client: config.client, filePath: config.filePath, loads };
+};
+
+export const selectSteps = (steps, { from, only }) => {
+  const names = steps.map((step) => step.name);
+  const checkName = (name) => {
+    if (!names.includes(name)) {
+      throw new Error(`Unknown pipeline step "${name}". Steps: ${names.join(', ')}`);
+    }
+  };
+
+  if (from !== undefined && only !== undefined) {
+    throw new Error('Use either --from or --only, not both');
+  }
+  if (only !== undefined) {
+    const wanted = only.split(',').map((name) => name.trim());
+    wanted.forEach(checkName);
+    return steps.filter((step) => wanted.includes(step.name));
+  }
+  if (from !== undefined) {
+    checkName(from);
+    return steps.slice(names.indexOf(from));
+  }
+  return steps;
+};
+
+const loadState = async (statePath) => {
+  try {
+    return JSON.parse(await readFile(statePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw error;
+  }
+};
+
+const elapsedSeconds = (startedAt) => Number(((Date.now() - startedAt) / 1000).toFixed(2));
+
+// Runs steps in order and stops at the first one that throws. A step is
+// skipped when the hash of its inputs matches the one saved after its last
+// successful run; a step without inputs always runs. The hash is saved after
+// the step runs, so a step that updates its own inputs (loading changes the
+// load history) is not rerun.
+export const runPipeline = async (steps, { statePath, force = false }) => {
+  const state = await loadState(statePath);
+  const timings = [];
+
+  for (const step of steps) {
+    const startedAt = Date.now();
+    const skippable = !force && step.inputs && state[step.name] === hashInputs(await step.inputs());
+
+    if (skippable) {
+      console.log(`\n⏭️  Skipping ${step.name}: inputs unchanged since its last run.`);
+      timings.push({ step: step.name, status: 'skipped', seconds: elapsedSeconds(startedAt) });
+      continue;
+    }
+
+    console.log(`\n🚀 Running ${step.name}: ${step.description}...`);
+    try {
+      await step.run();
+    } catch (error) {
+      timings.push({ step: step.name, status: 'failed', seconds: elapsedSeconds(startedAt) });
+      return { timings, failure: { step: step.name, error } };
+    }
+
+    if (step.inputs) {
+      state[step.name] = hashInputs(await step.inputs());
+      await writeFile(statePath, `${JSON.stringify(state, null, 2)}\n`, 'utf8');
+    }
+    timings.push({ step: step.name, status: 'completed', seconds: elapsedSeconds(startedAt) });
+  }
+
+  return { timings, failure: null };
+};
@@ -0,0 +1,191 @@
+import { faker } from '@faker-js/faker';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const PROMOTION_TYPES = [
+  'Percentage Coupon',
+  'Fixed Coupon',
+  'Category Sale',
+  'Buy X Get Y',
+];
+
+export const PROMOTION_SETTINGS = {
+  counts: {
+    'Percentage Coupon': 6,
+    'Fixed Coupon': 4,
+    'Category Sale': 8,
+    'Buy X Get Y': 4,
+  },
+  minDays: { 'Percentage Coupon': 14, 'Fixed Coupon': 14, 'Category Sale': 3, 'Buy X Get Y': 7 },
+  maxDays: { 'Percentage Coupon': 60, 'Fixed Coupon': 60, 'Category Sale': 14, 'Buy X Get Y': 30 },
+  // Promotions start late enough to leave an equally long stretch of orders
+  // before them, which the effectiveness report uses as its baseline.
+  maxBaselineDays: 60,
+  couponUsageProbability: 0.2,
+  saleUpliftProbability: 0.5,
+  bundleUpliftProbability: 0.6,
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const formatDay = (day) => new Date(day * DAY_MS).toISOString().slice(0, 10);
+
+const promotionTerms = (type, categories) => {
+  switch (type) {
+    case 'Percentage Coupon':
+      return { discount_percent: faker.helpers.arrayElement([10, 15, 20, 25]) };
+    case 'Fixed Coupon': {
+      const amount = faker.helpers.arrayElement([5, 10, 20, 50]);
+      return { discount_amount: amount, min_order_amount: amount * 4 };
+    }
+    case 'Category Sale':
+      return {
+        category: faker.helpers.arrayElement(categories),
+        discount_percent: faker.helpers.arrayElement([10, 20, 30, 40]),
+      };
+    default:
+      return {
+        category: faker.helpers.arrayElement(categories),
+        buy_quantity: faker.number.int({ min: 1, max: 3 }),
+        get_quantity: 1,
+      };
+  }
+};
+
+const couponCode = (terms) => {
+  const prefix = terms.discount_percent
+    ? `SAVE${terms.discount_percent}`
+    : `TAKE${terms.discount_amount}`;
+  return `${prefix}-${faker.string.alphanumeric({ length: 5, casing: 'upper' })}`;
+};
+
+// Coupons get a code customers enter at checkout; sales and buy-X-get-Y rules
+// apply automatically to every eligible line. Amounts are in the base currency.
+export const generatePromotions = ({ categories, firstDay, lastDay }) => {
+  const promotions = [];
+
+  for (const type of PROMOTION_TYPES) {
+    for (let idx = 0; idx < PROMOTION_SETTINGS.counts[type]; idx += 1) {
+      const days = faker.number.int({
+        min: PROMOTION_SETTINGS.minDays[type],
+        max: PROMOTION_SETTINGS.maxDays[type],
+      });
+      const startDay = faker.number.int({
+        min: Math.min(firstDay + PROMOTION_SETTINGS.maxBaselineDays, lastDay),
+        max: Math.max(lastDay - days + 1, firstDay),
+      });
+      const terms = promotionTerms(type, categories);
+      const isCoupon = type.endsWith('Coupon');
+
+      promotions.push({
+        promotion_id: promotions.length + 1,
+        promotion_code: isCoupon ? couponCode(terms) : null,
+        promotion_type: type,
+        category: null,
+        discount_percent: null,
+        discount_amount: null,
+        min_order_amount: null,
+        buy_quantity: null,
+        get_quantity: null,
+        ...terms,
+        starts_on: formatDay(startDay),
+        ends_on: formatDay(startDay + days - 1),
+      });
+    }
+  }
+
+  return promotions;
+};
+
+const isActive = (promotion, day) => promotion.starts_on <= day && day <= promotion.ends_on;
+
+// Discount per unit, rounded to the cent. A buy-X-get-Y rule gives get_quantity
+// units free for every complete bundle on the line, spread over all its units.
+const unitDiscount = (promotion, listPrice, quantity) => {
+  if (promotion.promotion_type === 'Category Sale') {
+    return roundAmount((listPrice * promotion.discount_percent) / 100);
+  }
+
+  const bundle = promotion.buy_quantity + promotion.get_quantity;
+  const freeUnits = Math.floor(quantity / bundle) * promotion.get_quantity;
+  return roundAmount((listPrice * freeUnits) / quantity);
+};
+
+export const createPromotionCalendar = (promotions) => {
+  const linePromotions = promotions.filter((promotion) => promotion.category !== null);
+  const coupons = promotions.filter((promotion) => promotion.promotion_code !== null);
+
+  const activeFor = (category, day) =>
+    linePromotions.filter(
+      (promotion) => promotion.category === category && isActive(promotion, day)
+    );
+
+  // Customers buy more of what is on offer: a line on sale may get an extra
+  // unit, and a line under buy-X-get-Y may be topped up to a full bundle.
+  const adjustQuantity = (category, day, quantity) => {
+    let adjusted = quantity;
+
+    for (const promotion of activeFor(category, day)) {
+      if (promotion.promotion_type === 'Category Sale') {
+        if (faker.datatype.boolean(PROMOTION_SETTINGS.saleUpliftProbability)) {
+          adjusted += 1;
+        }
+      } else {
+        const bundle = promotion.buy_quantity + promotion.get_quantity;
+        const topUp = faker.datatype.boolean(PROMOTION_SETTINGS.bundleUpliftProbability);
+        if (adjusted < bundle && topUp) {
+          adjusted = bundle;
+        }
+      }
+    }
+
+    return adjusted;
+  };
+
+  // Only the best automatic promotion applies to a line.
+  const priceLine = (line, category, day) => {
+    for (const promotion of activeFor(category, day)) {
+      const discount = unitDiscount(promotion, line.list_price, line.quantity);
+      if (discount > line.discount_amount) {
+        line.discount_amount = discount;
+        line.promotion_id = promotion.promotion_id;
+      }
+    }
+  };
+
+  // A coupon applies on top of line promotions. Percentage coupons take their
+  // share off every unit; a fixed coupon is split over the lines in proportion
+  // to their value, so the total discount can differ from it by a few cents.
+  const applyCoupon = (order, lines, day, exchangeRate) => {
+    const available = coupons.filter((coupon) => isActive(coupon, day));
+    if (!available.length || !faker.datatype.boolean(PROMOTION_SETTINGS.couponUsageProbability)) {
+      return;
+    }
+
+    const coupon = faker.helpers.arrayElement(available);
+    const netPrice = (line) => line.list_price - line.discount_amount;
+    const subtotal = lines.reduce((total, line) => total + line.quantity * netPrice(line), 0);
+
+    if (coupon.promotion_type === 'Fixed Coupon') {
+      if (subtotal < coupon.min_order_amount * exchangeRate) {
+        return;
+      }
+      const couponAmount = coupon.discount_amount * exchangeRate;
+      for (const line of lines) {
+        const share = (couponAmount * netPrice(line)) / subtotal / line.quantity;
+        line.discount_amount = roundAmount(
+          line.discount_amount + Math.min(roundAmount(share), netPrice(line))
+        );
+      }
+    } else {
+      for (const line of lines) {
+        const share = (netPrice(line) * coupon.discount_percent) / 100;
+        line.discount_amount = roundAmount(line.discount_amount + roundAmount(share));
+      }
+    }
+
+    order.coupon_id = coupon.promotion_id;
+  };
+
+  return { adjustQuantity, priceLine, applyCoupon };
+};
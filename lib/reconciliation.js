@@ -0,0 +1,84 @@
+// Common table expressions shared by the reconciliation reports. Each order is
+// compared with the sum of its line items and with its completed payments:
+// charged is what was captured, reversed what went back out as refunds and
+// chargebacks. Orders without a completed charge are outstanding, not
+// discrepancies, since their payment may still fail or be retried. Amounts are
+// compared in the order's own currency.
+export const ORDER_BALANCES = `
+  item_totals AS (
+    SELECT order_id, COUNT(*) AS item_count, SUM(quantity * unit_price) AS items_total
+    FROM order_items
+    GROUP BY order_id
+  ),
+  payment_totals AS (
+    SELECT
+      order_id,
+      SUM(CASE WHEN payment_type = 'Charge' THEN 1 ELSE 0 END) AS completed_charges,
+      SUM(CASE WHEN payment_type = 'Charge' THEN amount ELSE 0 END) AS charged,
+      SUM(CASE WHEN payment_type <> 'Charge' THEN amount ELSE 0 END) AS reversed
+    FROM payments
+    WHERE payment_status = 'Completed'
+    GROUP BY order_id
+  ),
+  order_balances AS (
+    SELECT
+      o.order_id,
+      o.order_date,
+      o.currency,
+      o.total_amount,
+      COALESCE(i.item_count, 0) AS item_count,
+      COALESCE(i.items_total, 0) AS items_total,
+      COALESCE(p.completed_charges, 0) AS completed_charges,
+      COALESCE(p.charged, 0) AS charged,
+      COALESCE(p.reversed, 0) AS reversed
+    FROM orders o
+    LEFT JOIN item_totals i ON i.order_id = o.order_id
+    LEFT JOIN payment_totals p ON p.order_id = o.order_id
+    WHERE ($from IS NULL OR o.order_date >= $from)
+      AND ($to IS NULL OR SUBSTR(o.order_date, 1, 10) <= $to)
+  ),
+  order_checks AS (
+    SELECT
+      b.*,
+      CASE WHEN b.item_count = 0 OR ABS(b.items_total - b.total_amount) > $tolerance
+        THEN 1 ELSE 0 END AS items_mismatch,
+      CASE WHEN b.completed_charges > 1
+        OR (b.completed_charges = 1 AND ABS(b.charged - b.total_amount) > $tolerance)
+        THEN 1 ELSE 0 END AS payment_mismatch,
+      CASE WHEN b.reversed > b.charged + $tolerance THEN 1 ELSE 0 END AS over_reversed
+    FROM order_balances b
+  )
+`;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const describeIssues = (row) => {
+  const issues = [];
+
+  if (row.items_mismatch) {
+    issues.push(row.item_count ? 'total differs from line items' : 'no line items');
+  }
+  if (row.payment_mismatch) {
+    issues.push(
+      row.completed_charges > 1
+        ? `charged ${row.completed_charges} times`
+        : 'charged amount differs from total'
+    );
+  }
+  if (row.over_reversed) {
+    issues.push('refunds and chargebacks exceed the charge');
+  }
+  return issues.join('; ');
+};
+
+export const listDiscrepancies = (rows) =>
+  rows.map((row) => ({
+    order_id: row.order_id,
+    order_date: row.order_date,
+    currency: row.currency,
+    total_amount: row.total_amount,
+    items_total: round(row.items_total),
+    charged: round(row.charged),
+    reversed: round(row.reversed),
+    issues: describeIssues(row),
+  }));
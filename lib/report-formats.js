@@ -0,0 +1,93 @@
+import { toCsvLine } from './csv.js';
+
+// Console output used by the command line tools; the title line is left out
+// when there is no title, as for ad-hoc queries in the SQL shell.
+export const printTable = (title, rows) => {
+  if (title) {
+    console.log(`\n=== ${title} ===`);
+  }
+  if (!rows.length) {
+    console.log('No results.');
+    return;
+  }
+  console.table(rows);
+};
+
+const columnsOf = (rows) => (rows.length ? Object.keys(rows[0]) : []);
+
+const escapeMarkdown = (value) =>
+  value === null || value === undefined ? '' : String(value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+
+export const escapeHtml = (value) =>
+  value === null || value === undefined
+    ? ''
+    : String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+
+const renderJson = (report, rows) =>
+  `${JSON.stringify({ report: report.name, title: report.title, rows }, null, 2)}\n`;
+
+const renderCsv = (report, rows) => {
+  const columns = columnsOf(rows);
+  return [columns.join(','), ...rows.map((row) => toCsvLine(row, columns))].join('\n');
+};
+
+const renderMarkdown = (report, rows) => {
+  const columns = columnsOf(rows);
+  const lines = [`# ${report.title}`, ''];
+
+  if (!rows.length) {
+    lines.push('No results.');
+  } else {
+    lines.push(
+      `| ${columns.join(' | ')} |`,
+      `| ${columns.map(() => '---').join(' | ')} |`,
+      ...rows.map((row) => `| ${columns.map((column) => escapeMarkdown(row[column])).join(' | ')} |`)
+    );
+  }
+
+  return `${lines.join('\n')}\n`;
+};
+
+export const renderHtmlTable = (rows) => {
+  const columns = columnsOf(rows);
+  return rows.length
+    ? `<table>
+<thead><tr>${columns.map((column) => `<th>${escapeHtml(column)}</th>`).join('')}</tr></thead>
+<tbody>
+${rows
+  .map((row) => `<tr>${columns.map((column) => `<td>${escapeHtml(row[column])}</td>`).join('')}</tr>`)
+  .join('\n')}
+</tbody>
+</table>`
+    : '<p>No results.</p>';
+};
+
+const renderHtml = (report, rows) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(report.title)}</title>
+<style>
+body { font-family: sans-serif; margin: 2rem; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid #ccc; padding: 0.3rem 0.6rem; text-align: left; }
+th { background: #f3f3f3; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(report.title)}</h1>
+${renderHtmlTable(rows)}
+</body>
+</html>
+`;
+
+export const REPORT_FORMATS = {
+  json: { extension: 'json', render: renderJson },
+  csv: { extension: 'csv', render: renderCsv },
+  markdown: { extension: 'md', render: renderMarkdown },
+  html: { extension: 'html', render: renderHtml },
+};
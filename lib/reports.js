@@ -0,0 +1,204 @@
+import { readdir } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const REPORTS_DIR = path.join(__dirname, '..', 'reports');
+const REPORT_FILE_PATTERN = /^([a-z0-9]+(?:-[a-z0-9]+)*)\.js$/;
+const PLACEHOLDER_PATTERN = /\$([a-zA-Z_]\w*)/g;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+const checkMin = (value, { min }) =>
+  min !== undefined && value < min ? `must be at least ${min}` : null;
+
+// Each parameter type maps to the parseArgs type used on the command line, a
+// parser for raw text such as query strings (null when the text is invalid)
+// and a check run on the parsed value. A string parameter may list the only
+// values it accepts in choices.
+export const PARAM_TYPES = {
+  date: {
+    cliType: 'string',
+    parse: (text) => text,
+    check: (value) =>
+      ISO_DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(`${value}T00:00:00Z`))
+        ? null
+        : 'must be a date in YYYY-MM-DD format',
+  },
+  string: {
+    cliType: 'string',
+    parse: (text) => text,
+    check: (value, { choices }) => {
+      if (value === '') {
+        return 'must not be empty';
+      }
+      return choices && !choices.includes(value) ? `must be one of ${choices.join(', ')}` : null;
+    },
+  },
+  integer: {
+    cliType: 'integer',
+    parse: (text) => (/^-?\d+$/.test(text) ? Number(text) : null),
+    check: checkMin,
+  },
+  number: {
+    cliType: 'number',
+    parse: (text) => (text !== '' && !Number.isNaN(Number(text)) ? Number(text) : null),
+    check: checkMin,
+  },
+  currency: {
+    cliType: 'string',
+    parse: (text) => text,
+    check: (value) =>
+      CURRENCY_PATTERN.test(value) ? null : 'must be a three-letter currency code such as EUR',
+  },
+};
+
+const validateReport = (fileName, report) => {
+  if (typeof report.title !== 'string' || !report.title) {
+    throw new Error(`Report ${fileName} must export a title`);
+  }
+  if (typeof report.sql !== 'string' && typeof report.sql !== 'function') {
+    throw new Error(`Report ${fileName} must export sql as a string or a function of the dialect`);
+  }
+  if (report.transform !== undefined && typeof report.transform !== 'function') {
+    throw new Error(`Report ${fileName} exports a transform that is not a function`);
+  }
+  for (const [name, definition] of Object.entries(report.params)) {
+    if (!(definition.type in PARAM_TYPES)) {
+      throw new Error(`Report ${fileName} parameter ${name} has unknown type "${definition.type}"`);
+    }
+  }
+};
+
+export const loadReports = async (reportsDir = REPORTS_DIR) => {
+  const fileNames = (await readdir(reportsDir)).filter((fileName) =>
+    REPORT_FILE_PATTERN.test(fileName)
+  );
+
+  const reports = await Promise.all(
+    fileNames.map(async (fileName) => {
+      const [, name] = fileName.match(REPORT_FILE_PATTERN);
+      const {
+        title,
+        description = '',
+        params = {},
+        sql,
+        transform,
+        warehouse = false,
+      } = await import(pathToFileURL(path.join(reportsDir, fileName)));
+      const report = { name, title, description, params, sql, transform, warehouse };
+
+      validateReport(fileName, report);
+      return report;
+    })
+  );
+
+  return reports.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+// Parameters shared by several reports must agree on their type, since a
+// single --name option feeds all of them.
+export const collectParams = (reports) => {
+  const params = {};
+
+  for (const report of reports) {
+    for (const [name, definition] of Object.entries(report.params)) {
+      if (params[name] && params[name].type !== definition.type) {
+        throw new Error(
+          `Parameter ${name} is a ${params[name].type} in one report and a ${definition.type} in ${report.name}`
+        );
+      }
+      params[name] ??= definition;
+    }
+  }
+
+  return params;
+};
+
+// Parameters are snake_case so they can appear as $name in SQL; on the
+// command line they are spelled in kebab-case like every other option.
+export const toOptionName = (name) => name.replace(/_/g, '-');
+
+export const describeParams = (report) =>
+  Object.entries(report.params)
+    .map(
+      ([name, definition]) =>
+        `--${toOptionName(name)} <${definition.type}>${definition.required ? ' (required)' : ''}${definition.default !== undefined ? ` (default ${definition.default})` : ''}`
+    )
+    .join(' ');
+
+export const hasRequiredParams = (report, values) =>
+  Object.entries(report.params).every(
+    ([name, definition]) => !definition.required || values[name] !== undefined
+  );
+
+const optionLabel = (name) => `--${toOptionName(name)}`;
+
+// Errors name each parameter as the caller spells it: a command-line option by
+// default, or a query parameter for the API.
+export const resolveParams = (report, values, { label = optionLabel } = {}) =>
+  Object.fromEntries(
+    Object.entries(report.params).map(([name, definition]) => {
+      const value = values[name] ?? definition.default ?? null;
+      if (value === null && definition.required) {
+        throw new Error(`Report ${report.name} requires ${label(name)}`);
+      }
+      const problem = value === null ? null : PARAM_TYPES[definition.type].check(value, definition);
+
+      if (problem) {
+        throw new Error(`Report ${report.name}: ${label(name)} ${problem}, got "${value}"`);
+      }
+      return [name, value];
+    })
+  );
+
+// Rewrites $name placeholders to positional ? markers and collects the bound
+// values in order, so parameter values never become part of the SQL text.
+export const bindReport = (report, dialect, params) => {
+  const template = typeof report.sql === 'function' ? report.sql(dialect) : report.sql;
+  const values = [];
+
+  const sql = template.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+    if (!(name in params)) {
+      throw new Error(`Report ${report.name} uses undeclared parameter ${placeholder}`);
+    }
+    values.push(params[name]);
+    return '?';
+  });
+
+  return { sql, values };
+};
+
+// Reports on the sales warehouse export warehouse = true. Until
+// build-warehouse.js has covered the latest load they would quietly show no
+// or outdated sales, so they fail instead; the error carries code
+// WAREHOUSE_OUTDATED.
+const checkWarehouse = async (db, report) => {
+  const [{ loaded, built }] = await db.all(`
+    SELECT
+      (SELECT MAX(load_id) FROM load_history) AS loaded,
+      (SELECT MAX(load_id) FROM warehouse_builds) AS built
+  `);
+  if (loaded === null || (built !== null && built >= loaded)) {
+    return;
+  }
+
+  const problem = built === null ? 'has not been built yet' : 'predates the latest load';
+  throw Object.assign(
+    new Error(
+      `Report ${report.name} reads the sales warehouse, which ${problem}; run npm run warehouse`
+    ),
+    { code: 'WAREHOUSE_OUTDATED' }
+  );
+};
+
+// Reports that need more than SQL (pivots, derived metrics) export a
+// transform(rows, params) that reshapes the query result.
+export const runReport = async (db, report, params) => {
+  if (report.warehouse) {
+    await checkWarehouse(db, report);
+  }
+  const { sql, values } = bindReport(report, db.dialect, params);
+  const rows = await db.all(sql, values);
+  return report.transform ? report.transform(rows, params) : rows;
+};
@@ -0,0 +1,19 @@
+// Common table expressions shared by the return reports. Only delivered lines
+// can come back, so return rates are measured against delivered units rather
+// than everything that was ordered. Lines are filtered by order date.
+export const DELIVERED_LINES = `
+  delivered_lines AS (
+    SELECT oi.order_item_id, oi.product_id, oi.quantity, oi.unit_price, oi.currency, o.order_date
+    FROM order_items oi
+    INNER JOIN orders o ON o.order_id = oi.order_id
+    INNER JOIN shipments s ON s.order_id = o.order_id
+    WHERE s.delivered_at IS NOT NULL
+      AND ($from IS NULL OR o.order_date >= $from)
+      AND ($to IS NULL OR SUBSTR(o.order_date, 1, 10) <= $to)
+  ),
+  returned_lines AS (
+    SELECT order_item_id, COUNT(*) AS returns, SUM(quantity) AS quantity
+    FROM returns
+    GROUP BY order_item_id
+  )
+`;
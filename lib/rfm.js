@@ -0,0 +1,85 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rules are checked in order against the recency score and the average of the
+// frequency and monetary scores (both 1-5); the first match names the segment.
+export const SEGMENT_RULES = [
+  { segment: 'Champions', matches: (r, fm) => r >= 4 && fm >= 4 },
+  { segment: 'Loyal Customers', matches: (r, fm) => r === 3 && fm >= 4 },
+  { segment: 'Potential Loyalists', matches: (r, fm) => r >= 4 && fm >= 2 },
+  { segment: 'New Customers', matches: (r) => r >= 4 },
+  { segment: 'Need Attention', matches: (r, fm) => r === 3 && fm === 3 },
+  { segment: 'About to Sleep', matches: (r) => r === 3 },
+  { segment: 'Cannot Lose Them', matches: (r, fm) => r === 1 && fm >= 5 },
+  { segment: 'At Risk', matches: (r, fm) => fm >= 3 },
+  { segment: 'Hibernating', matches: (r, fm) => fm === 2 },
+  { segment: 'Lost', matches: () => true },
+];
+
+export const NO_ORDERS_SEGMENT = 'No Orders';
+
+// Scores values 1-5 by quintile, 5 being the best. Equal values always get the
+// same score, so ties never straddle a quintile boundary.
+export const scoreQuintiles = (values, { higherIsBetter }) => {
+  const sorted = [...values].sort((a, b) => (higherIsBetter ? a - b : b - a));
+  const firstRank = new Map();
+  sorted.forEach((value, idx) => {
+    if (!firstRank.has(value)) {
+      firstRank.set(value, idx);
+    }
+  });
+
+  return values.map((value) => 1 + Math.floor((5 * firstRank.get(value)) / values.length));
+};
+
+export const segmentFor = (rScore, fScore, mScore) => {
+  const fm = Math.round((fScore + mScore) / 2);
+  return SEGMENT_RULES.find(({ matches }) => matches(rScore, fm)).segment;
+};
+
+// customers holds one row per customer with last_order_date (null when the
+// customer never ordered), frequency and monetary. Customers without orders
+// are not ranked, so they do not drag the quintiles of active customers.
+export const scoreCustomers = (customers, scoredAt) => {
+  const scoredTime = Date.parse(`${scoredAt}T23:59:59.999Z`);
+  const buyers = customers.filter((customer) => customer.last_order_date !== null);
+  const recency = buyers.map((customer) =>
+    Math.floor((scoredTime - Date.parse(customer.last_order_date)) / DAY_MS)
+  );
+  const rScores = scoreQuintiles(recency, { higherIsBetter: false });
+  const fScores = scoreQuintiles(
+    buyers.map((customer) => customer.frequency),
+    { higherIsBetter: true }
+  );
+  const mScores = scoreQuintiles(
+    buyers.map((customer) => customer.monetary),
+    { higherIsBetter: true }
+  );
+
+  const scores = new Map(
+    buyers.map((customer, idx) => [
+      customer.customer_id,
+      {
+        recency_days: recency[idx],
+        r_score: rScores[idx],
+        f_score: fScores[idx],
+        m_score: mScores[idx],
+        segment: segmentFor(rScores[idx], fScores[idx], mScores[idx]),
+      },
+    ])
+  );
+
+  return customers.map((customer) => ({
+    customer_id: customer.customer_id,
+    scored_at: scoredAt,
+    last_order_date: customer.last_order_date,
+    frequency: customer.frequency,
+    monetary: Math.round(customer.monetary * 100) / 100,
+    ...(scores.get(customer.customer_id) ?? {
+      recency_days: null,
+      r_score: 0,
+      f_score: 0,
+      m_score: 0,
+      segment: NO_ORDERS_SEGMENT,
+    }),
+  }));
+};
@@ -0,0 +1,427 @@
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const ISO_TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{1,3})?(Z|[+-]\d{2}:\d{2})$/;
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+const ORDER_STATUSES = [
+  'Placed',
+  'Paid',
+  'Shipped',
+  'Delivered',
+  'Partially Returned',
+  'Returned',
+  'Cancelled',
+];
+const PROMOTION_TYPES = ['Percentage Coupon', 'Fixed Coupon', 'Category Sale', 'Buy X Get Y'];
+const TOTAL_TOLERANCE = 0.01;
+const PRICE_TOLERANCE = 0.005;
+
+export const isIsoDate = (value) => {
+  if (!ISO_DATE_PATTERN.test(value)) {
+    return false;
+  }
+  const timestamp = Date.parse(`${value}T00:00:00Z`);
+  return !Number.isNaN(timestamp) && new Date(timestamp).toISOString().startsWith(value);
+};
+
+const isIsoTimestamp = (value) =>
+  ISO_TIMESTAMP_PATTERN.test(value) && isIsoDate(value.slice(0, 10));
+
+const checkNonNegative = (row, column) =>
+  row[column] < 0 ? `${column} must not be negative (${row[column]})` : null;
+
+const rateKey = (date, currency) => `${date}/${currency}`;
+
+const checkCurrency = (row) =>
+  CURRENCY_PATTERN.test(row.currency) ? null : `invalid currency "${row.currency}"`;
+
+// Amounts are converted with the rate for the day they happened on, so that
+// day's rate must have been loaded for the row's currency.
+const checkRate = (row, column, fxRates) =>
+  fxRates.has(rateKey(row[column].slice(0, 10), row.currency))
+    ? null
+    : `no ${row.currency} exchange rate for ${row[column].slice(0, 10)}`;
+
+const checkOrderCurrency = (row, orderCurrencies) => {
+  const orderCurrency = orderCurrencies.get(row.order_id);
+  return orderCurrency === undefined || orderCurrency === row.currency
+    ? null
+    : `currency ${row.currency} does not match order ${row.order_id} currency ${orderCurrency}`;
+};
+
+const checkTimestamp = (row, column) =>
+  isIsoTimestamp(row[column]) ? null : `invalid ${column} "${row[column]}"`;
+
+// An optional end timestamp must be valid and must not precede its start.
+const checkEndTimestamp = (row, startColumn, endColumn) => {
+  if (row[endColumn] === null) {
+    return null;
+  }
+  if (!isIsoTimestamp(row[endColumn])) {
+    return `invalid ${endColumn} "${row[endColumn]}"`;
+  }
+  return Date.parse(row[endColumn]) < Date.parse(row[startColumn])
+    ? `${endColumn} ${row[endColumn]} is before ${startColumn} ${row[startColumn]}`
+    : null;
+};
+
+// Each promotion type needs its own terms: a percentage for percentage coupons
+// and sales, an amount for fixed coupons and bundle sizes for buy-X-get-Y.
+const checkPromotionTerms = (row) => {
+  switch (row.promotion_type) {
+    case 'Percentage Coupon':
+    case 'Category Sale':
+      return row.discount_percent > 0 && row.discount_percent <= 100
+        ? null
+        : `discount_percent must be between 0 and 100 (${row.discount_percent})`;
+    case 'Fixed Coupon':
+      return row.discount_amount > 0
+        ? null
+        : `discount_amount must be positive (${row.discount_amount})`;
+    default:
+      return row.buy_quantity > 0 && row.get_quantity > 0
+        ? null
+        : `buy_quantity and get_quantity must be positive (${row.buy_quantity}, ${row.get_quantity})`;
+  }
+};
+
+// History rows must list each entity's versions oldest first, and a version
+// may only start once the previous one, stored or earlier in the file, has
+// ended. A stored version repeated by an incremental load is not checked again.
+const checkVersionOrder = (row, column, versionEnds) => {
+  const previousEnd = versionEnds.get(row[column]);
+  if (previousEnd === null) {
+    return `${column} ${row[column]} already has an open version`;
+  }
+  if (previousEnd !== undefined && row.valid_from < previousEnd) {
+    return `version starting ${row.valid_from} overlaps the previous one ending ${previousEnd}`;
+  }
+  versionEnds.set(row[column], row.valid_to);
+  return null;
+};
+
+const sameValue = (stored, incoming) =>
+  (stored ?? null) === (incoming ?? null) || String(stored) === String(incoming);
+
+// An incremental load may repeat a stored row, which the upsert leaves as it
+// is, but a row that reuses a stored key with other values would overwrite it.
+export const describeRowChange = (stored, row, columns, keyColumns) => {
+  const column = columns.find((name) => !sameValue(stored[name], row[name]));
+  if (column === undefined) {
+    return null;
+  }
+  const key = keyColumns.map((name) => row[name]).join('/');
+  return `${keyColumns.join('/')} ${key} is already stored with ${column} ${stored[column]}`;
+};
+
+const checkReference = (row, column, keys, parentTable) =>
+  row[column] !== null && !keys.has(row[column])
+    ? `${column} ${row[column]} does not reference a valid ${parentTable} row`
+    : null;
+
+// Each rule returns a rejection reason or null. Rules run table by table in
+// load order, so references are checked against parent rows that already
+// passed validation (plus rows already in the database for incremental loads).
+const RULES = {
+  customers: [
+    (row) => (EMAIL_PATTERN.test(row.email) ? null : `invalid email "${row.email}"`),
+    (row) => (isIsoDate(row.signup_date) ? null : `invalid signup_date "${row.signup_date}"`),
+    (row, { emails }) => {
+      const email = row.email.toLowerCase();
+      const owner = emails.get(email);
+      if (owner !== undefined && owner !== row.customer_id) {
+        return `email "${row.email}" is already used by customer ${owner}`;
+      }
+      emails.set(email, row.customer_id);
+      return null;
+    },
+  ],
+  customer_history: [
+    (row) => (EMAIL_PATTERN.test(row.email) ? null : `invalid email "${row.email}"`),
+    (row) => checkTimestamp(row, 'valid_from'),
+    (row) => checkEndTimestamp(row, 'valid_from', 'valid_to'),
+    (row, { keys }) => checkReference(row, 'customer_id', keys.customers, 'customers'),
+    (row, { keys, customerVersionEnds }) =>
+      keys.customerVersions.has(row.customer_history_id)
+        ? null
+        : checkVersionOrder(row, 'customer_id', customerVersionEnds),
+  ],
+  products: [
+    (row) => checkNonNegative(row, 'price'),
+    (row) => checkNonNegative(row, 'stock_quantity'),
+  ],
+  product_history: [
+    (row) => checkNonNegative(row, 'price'),
+    (row) => checkTimestamp(row, 'valid_from'),
+    (row) => checkEndTimestamp(row, 'valid_from', 'valid_to'),
+    (row, { keys }) => checkReference(row, 'product_id', keys.products, 'products'),
+    (row, { keys, productVersionEnds }) =>
+      keys.productVersions.has(row.product_history_id)
+        ? null
+        : checkVersionOrder(row, 'product_id', productVersionEnds),
+  ],
+  promotions: [
+    (row) =>
+      PROMOTION_TYPES.includes(row.promotion_type)
+        ? null
+        : `invalid promotion_type "${row.promotion_type}"`,
+    (row) => (isIsoDate(row.starts_on) ? null : `invalid starts_on "${row.starts_on}"`),
+    (row) => (isIsoDate(row.ends_on) ? null : `invalid ends_on "${row.ends_on}"`),
+    (row) =>
+      row.ends_on < row.starts_on
+        ? `ends_on ${row.ends_on} is before starts_on ${row.starts_on}`
+        : null,
+    checkPromotionTerms,
+  ],
+  fx_rates: [
+    (row) => (isIsoDate(row.rate_date) ? null : `invalid rate_date "${row.rate_date}"`),
+    checkCurrency,
+    (row) => (row.rate > 0 ? null : `rate must be positive (${row.rate})`),
+  ],
+  orders: [
+    (row) => (isIsoTimestamp(row.order_date) ? null : `invalid order_date "${row.order_date}"`),
+    (row) => checkNonNegative(row, 'total_amount'),
+    checkCurrency,
+    (row, { keys }) => checkRate(row, 'order_date', keys.fxRates),
+    (row, { keys }) => checkReference(row, 'customer_id', keys.customers, 'customers'),
+    (row, { keys }) => checkReference(row, 'coupon_id', keys.promotions, 'promotions'),
+  ],
+  order_items: [
+    (row) => (row.quantity > 0 ? null : `quantity must be positive (${row.quantity})`),
+    (row) => checkNonNegative(row, 'unit_price'),
+    (row) => checkNonNegative(row, 'discount_amount'),
+    (row) =>
+      row.discount_amount > row.list_price
+        ? `discount_amount ${row.discount_amount} exceeds list_price ${row.list_price}`
+        : null,
+    (row) =>
+      Math.abs(row.list_price - row.discount_amount - row.unit_price) > PRICE_TOLERANCE
+        ? `unit_price ${row.unit_price} does not equal list_price less discount_amount`
+        : null,
+    (row, { keys }) => checkReference(row, 'order_id', keys.orders, 'orders'),
+    (row, { keys }) => checkReference(row, 'product_id', keys.products, 'products'),
+    (row, { keys }) => checkReference(row, 'promotion_id', keys.promotions, 'promotions'),
+    (row, { orderCurrencies }) => checkOrderCurrency(row, orderCurrencies),
+  ],
+  payments: [
+    (row) =>
+      isIsoTimestamp(row.payment_date) ? null : `invalid payment_date "${row.payment_date}"`,
+    (row) => checkNonNegative(row, 'amount'),
+    checkCurrency,
+    (row, { keys }) => checkRate(row, 'payment_date', keys.fxRates),
+    (row, { keys }) => checkReference(row, 'order_id', keys.orders, 'orders'),
+    (row, { keys }) => checkReference(row, 'parent_payment_id', keys.payments, 'payments'),
+    (row, { orderCurrencies }) => checkOrderCurrency(row, orderCurrencies),
+  ],
+  inventory_movements: [
+    (row) =>
+      isIsoTimestamp(row.movement_date) ? null : `invalid movement_date "${row.movement_date}"`,
+    (row, { keys }) => checkReference(row, 'product_id', keys.products, 'products'),
+    (row, { keys }) => checkReference(row, 'order_item_id', keys.orderItems, 'order_items'),
+  ],
+  shipments: [
+    (row) => checkTimestamp(row, 'shipped_at'),
+    (row) => checkEndTimestamp(row, 'shipped_at', 'delivered_at'),
+    (row, { keys }) => checkReference(row, 'order_id', keys.orders, 'orders'),
+    (row, { shipmentOrders }) => {
+      const shipmentId = shipmentOrders.get(row.order_id);
+      if (shipmentId !== undefined && shipmentId !== row.shipment_id) {
+        return `order ${row.order_id} already has shipment ${shipmentId}`;
+      }
+      shipmentOrders.set(row.order_id, row.shipment_id);
+      return null;
+    },
+  ],
+  order_status_history: [
+    (row) => (ORDER_STATUSES.includes(row.status) ? null : `invalid status "${row.status}"`),
+    (row) => checkTimestamp(row, 'status_date'),
+    (row, { keys }) => checkReference(row, 'order_id', keys.orders, 'orders'),
+  ],
+  returns: [
+    (row) => (row.quantity > 0 ? null : `quantity must be positive (${row.quantity})`),
+    (row) => checkTimestamp(row, 'requested_at'),
+    (row) => checkEndTimestamp(row, 'requested_at', 'received_at'),
+    (row, { keys }) => checkReference(row, 'order_item_id', keys.orderItems, 'order_items'),
+    (row, { keys }) => checkReference(row, 'refund_payment_id', keys.payments, 'payments'),
+    (row, { itemQuantities }) => {
+      const ordered = itemQuantities.get(row.order_item_id);
+      return ordered !== undefined && row.quantity > ordered
+        ? `returned quantity ${row.quantity} exceeds the ${ordered} units ordered`
+        : null;
+    },
+  ],
+};
+
+const KEY_SETS = {
+  customers: 'customers',
+  customer_history: 'customerVersions',
+  products: 'products',
+  product_history: 'productVersions',
+  promotions: 'promotions',
+  fx_rates: 'fxRates',
+  orders: 'orders',
+  order_items: 'orderItems',
+  payments: 'payments',
+  inventory_movements: 'inventoryMovements',
+  shipments: 'shipments',
+  order_status_history: 'orderStatuses',
+  returns: 'returns',
+};
+
+const selectColumn = async (db, sql, column) =>
+  (await db.all(sql)).map((row) => row[column]);
+
+// Ends of the newest stored version of each customer or product; null while
+// that version is still open.
+const selectVersionEnds = async (db, table, column) =>
+  new Map(
+    (
+      await db.all(
+        `SELECT ${column}, valid_to FROM ${table} latest
+        WHERE valid_from = (
+          SELECT MAX(valid_from) FROM ${table} WHERE ${column} = latest.${column}
+        )`
+      )
+    ).map((row) => [row[column], row.valid_to])
+  );
+
+export const loadExistingKeys = async (db) => {
+  const customers = await db.all('SELECT customer_id, email FROM customers');
+  const orders = await db.all('SELECT order_id, currency FROM orders');
+  const orderItems = await db.all('SELECT order_item_id, quantity FROM order_items');
+  const shipments = await db.all('SELECT shipment_id, order_id FROM shipments');
+
+  return {
+    emails: new Map(customers.map((row) => [row.email.toLowerCase(), row.customer_id])),
+    keys: {
+      customers: new Set(customers.map((row) => row.customer_id)),
+      customerVersions: new Set(
+        await selectColumn(
+          db,
+          'SELECT customer_history_id FROM customer_history',
+          'customer_history_id'
+        )
+      ),
+      products: new Set(await selectColumn(db, 'SELECT product_id FROM products', 'product_id')),
+      productVersions: new Set(
+        await selectColumn(
+          db,
+          'SELECT product_history_id FROM product_history',
+          'product_history_id'
+        )
+      ),
+      promotions: new Set(
+        await selectColumn(db, 'SELECT promotion_id FROM promotions', 'promotion_id')
+      ),
+      fxRates: new Set(
+        (await db.all('SELECT rate_date, currency FROM fx_rates')).map((row) =>
+          rateKey(row.rate_date, row.currency)
+        )
+      ),
+      orders: new Set(orders.map((row) => row.order_id)),
+      orderItems: new Set(orderItems.map((row) => row.order_item_id)),
+      payments: new Set(await selectColumn(db, 'SELECT payment_id FROM payments', 'payment_id')),
+      inventoryMovements: new Set(),
+      shipments: new Set(shipments.map((row) => row.shipment_id)),
+      orderStatuses: new Set(),
+      returns: new Set(),
+    },
+    customerVersionEnds: await selectVersionEnds(db, 'customer_history', 'customer_id'),
+    productVersionEnds: await selectVersionEnds(db, 'product_history', 'product_id'),
+    orderCurrencies: new Map(orders.map((row) => [row.order_id, row.currency])),
+    itemQuantities: new Map(orderItems.map((row) => [row.order_item_id, row.quantity])),
+    shipmentOrders: new Map(shipments.map((row) => [row.order_id, row.shipment_id])),
+    orderTotals: new Map(
+      (
+        await db.all(
+          'SELECT order_id, SUM(quantity * unit_price) AS items_total FROM order_items GROUP BY order_id'
+        )
+      ).map((row) => [row.order_id, row.items_total])
+    ),
+  };
+};
+
+const describeTotalMismatch = (order, itemsTotal) => {
+  if (itemsTotal === undefined) {
+    return 'order has no line items';
+  }
+  if (Math.abs(itemsTotal - order.total_amount) > TOTAL_TOLERANCE) {
+    return `total_amount ${order.total_amount} does not match line items total ${itemsTotal.toFixed(2)}`;
+  }
+  return null;
+};
+
+// The validator keeps only keys and per-order totals, so files can be streamed
+// through it. Tables must be checked in load order; once orders and
+// order_items have been checked, accepted orders are re-checked with
+// checkOrderTotal and, if any were rejected, their line items with
+// checkOrderItemParent, before payments and inventory movements are checked.
+// A rejected repeat of a stored order or line item leaves the stored row in
+// place, so its key stays known to the rows that reference it.
+export const createValidator = ({ tables, existing }) => {
+  const context = { ...existing, tables };
+  const storedOrders = new Set(existing.keys.orders);
+  const storedOrderItems = new Set(existing.keys.orderItems);
+  const seen = {};
+  const itemTotals = new Map();
+  const mismatchedOrders = new Set();
+
+  const check = (tableName, row) => {
+    const { primaryKey } = tables[tableName];
+    const columns = [primaryKey].flat();
+    const key = columns.map((column) => row[column]).join('/');
+    seen[tableName] ??= new Set();
+
+    let reason = seen[tableName].has(key) ? `duplicate ${columns.join('/')} ${key} in file` : null;
+    for (const rule of RULES[tableName]) {
+      reason = reason ?? rule(row, context);
+    }
+
+    seen[tableName].add(key);
+    if (reason) {
+      return reason;
+    }
+
+    context.keys[KEY_SETS[tableName]].add(Array.isArray(primaryKey) ? key : row[primaryKey]);
+    if (tableName === 'orders') {
+      context.orderCurrencies.set(row.order_id, row.currency);
+    }
+    if (tableName === 'order_items') {
+      const lineTotal = row.quantity * row.unit_price;
+      itemTotals.set(row.order_id, (itemTotals.get(row.order_id) ?? 0) + lineTotal);
+      context.itemQuantities.set(row.order_item_id, row.quantity);
+    }
+    return null;
+  };
+
+  const checkOrderTotal = (order) => {
+    const itemsTotal = itemTotals.get(order.order_id) ?? context.orderTotals.get(order.order_id);
+    const reason = describeTotalMismatch(order, itemsTotal);
+
+    if (reason) {
+      mismatchedOrders.add(order.order_id);
+      if (!storedOrders.has(order.order_id)) {
+        context.keys.orders.delete(order.order_id);
+      }
+    }
+    return reason;
+  };
+
+  const checkOrderItemParent = (item) => {
+    if (!mismatchedOrders.has(item.order_id)) {
+      return null;
+    }
+    if (!storedOrderItems.has(item.order_item_id)) {
+      context.keys.orderItems.delete(item.order_item_id);
+    }
+    return `order ${item.order_id} was rejected`;
+  };
+
+  return {
+    check,
+    checkOrderTotal,
+    checkOrderItemParent,
+    get mismatchedOrderCount() {
+      return mismatchedOrders.size;
+    },
+  };
+};
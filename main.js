@@ -1,28 +1,166 @@
-import { exec } from 'child_process';
-import { promisify } from 'util';
-
-const execAsync = promisify(exec);
-
-async function runScript(scriptName) {
-    try {
-        console.log(`\n🚀 Running ${scriptName}...`);
-        const { stdout, stderr } = await execAsync(`node ${scriptName}`);
-        if (stdout) console.log(stdout);
-        if (stderr) console.error(stderr);
-    } catch (error) {
-        console.error(`Error running ${scriptName}:`, error);
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { buildDashboard } from './build-dashboard.js';
+import { buildProductPairs } from './build-product-pairs.js';
+import { buildWarehouse } from './build-warehouse.js';
+import { createDatabase } from './create-database.js';
+import { generateData } from './generate-data.js';
+import { parseArgs } from './lib/cli.js';
+import { getDatabaseConfig } from './lib/db/index.js';
+import {
+  checksumFiles,
+  databaseVersion,
+  queryVersion,
+  runPipeline,
+  selectSteps,
+} from './lib/pipeline.js';
+import { reconcile } from './reconcile.js';
+import { runQueries } from './run-queries.js';
+import { segmentCustomers } from './segment-customers.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const STATE_PATH = path.join(__dirname, '.pipeline-state.json');
+const CSV_FILES = [
+  'customers.csv',
+  'customer_history.csv',
+  'products.csv',
+  'product_history.csv',
+  'promotions.csv',
+  'fx_rates.csv',
+  'orders.csv',
+  'order_items.csv',
+  'payments.csv',
+  'inventory_movements.csv',
+  'shipments.csv',
+  'order_status_history.csv',
+  'returns.csv',
+].map((fileName) => path.join(__dirname, 'data', fileName));
+
+const createSteps = (config) => {
+  const csvChecksums = () => checksumFiles(CSV_FILES);
+  const loadedData = () => databaseVersion(config);
+  // Reports read the warehouse, segments and product pairs too, so rebuilding
+  // them outside the pipeline reruns the steps that show them.
+  const derivedData = async () => ({
+    database: await loadedData(),
+    warehouse: await queryVersion(config, 'SELECT MAX(built_at) AS built_at FROM warehouse_builds'),
+    segments: await queryVersion(
+      config,
+      `SELECT scored_at, segment, COUNT(*) AS customers FROM customer_segments
+      GROUP BY scored_at, segment ORDER BY scored_at, segment`
+    ),
+    pairs: await queryVersion(
+      config,
+      'SELECT COUNT(*) AS pairs, MAX(computed_at) AS computed_at FROM product_pairs'
+    ),
+  });
+
+  return [
+    {
+      name: 'generate',
+      description: 'generate synthetic CSV data',
+      // Unseeded data is random, so generation has no inputs and runs every
+      // time; use --from load to keep the current CSV files.
+      run: () => generateData(),
+    },
+    {
+      name: 'load',
+      description: 'create the database and load the CSV files',
+      inputs: async () => ({ csv: await csvChecksums(), database: await loadedData() }),
+      run: () => createDatabase(),
+    },
+    {
+      name: 'warehouse',
+      description: 'refresh the star schema and sales aggregates',
+      inputs: async () => ({ database: await loadedData() }),
+      run: () => buildWarehouse(),
+    },
+    {
+      name: 'reconcile',
+      description: 'reconcile order totals, line items and payments',
+      inputs: async () => ({ database: await loadedData() }),
+      run: async () => {
+        const { passed, discrepantOrders } = await reconcile();
+        if (!passed) {
+          throw new Error(`${discrepantOrders} orders do not reconcile`);
+        }
+      },
+    },
+    {
+      name: 'segment',
+      description: 'score customers into RFM segments',
+      // Segments are scored as of today, so they are refreshed once a day.
+      inputs: async () => ({
+        database: await loadedData(),
+        date: new Date().toISOString().slice(0, 10),
+      }),
+      run: () => segmentCustomers(),
+    },
+    {
+      name: 'product-pairs',
+      description: 'count products bought together',
+      inputs: async () => ({ database: await loadedData() }),
+      run: () => buildProductPairs(),
+    },
+    {
+      name: 'reports',
+      description: 'run the analytics reports',
+      inputs: derivedData,
+      run: () => runQueries(),
+    },
+    {
+      name: 'dashboard',
+      description: 'build the HTML dashboard',
+      inputs: derivedData,
+      run: () => buildDashboard(),
+    },
+  ];
+};
+
+const parseOptions = (argv) => {
+  const { options } = parseArgs(argv, {
+    from: { type: 'string' },
+    only: { type: 'string' },
+    force: { type: 'boolean' },
+    list: { type: 'boolean' },
+  });
+
+  return options;
+};
+
+const main = async () => {
+  try {
+    const options = parseOptions(process.argv.slice(2));
+    const steps = createSteps(getDatabaseConfig());
+
+    if (options.list) {
+      console.table(steps.map(({ name, description }) => ({ step: name, description })));
+      return;
+    }
+
+    const selected = selectSteps(steps, options);
+    console.log('🛒 E-COMMERCE DATA PIPELINE STARTING...');
+    console.log(`Steps: ${selected.map((step) => step.name).join(' → ')}`);
+
+    const { timings, failure } = await runPipeline(selected, {
+      statePath: STATE_PATH,
+      force: options.force,
+    });
+
+    console.log('\nStep timings:');
+    console.table(timings);
+
+    if (failure) {
+      console.error(`\n❌ PIPELINE FAILED at step ${failure.step}:`, failure.error);
+      process.exitCode = 1;
+      return;
     }
-}
-
-async function main() {
-    console.log('🛒 E-COMMERCE DATA PIPELINE STARTING...\n');
-    
-    // Run in sequence
-    await runScript('generate-data.js');
-    await runScript('create-database.js'); 
-    await runScript('run-queries.js');
-    
     console.log('\n✅ PIPELINE COMPLETED SUCCESSFULLY!');
-}
+  } catch (error) {
+    console.error('Failed to run the pipeline:', error);
+    process.exitCode = 1;
+  }
+};
 
-main();
\ No newline at end of file
+main();
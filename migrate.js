@@ -0,0 +1,55 @@
+import { parseArgs } from './lib/cli.js';
+import { getDatabaseConfig, openDatabase } from './lib/db/index.js';
+import { migrateDown, migrateUp, migrationStatus } from './lib/migrations.js';
+
+const COMMANDS = ['up', 'down', 'status'];
+
+const parseTarget = (value) => {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  const target = Number(value);
+  if (!Number.isInteger(target) || target < 0) {
+    throw new Error(`Invalid migration version: "${value}"`);
+  }
+  return target;
+};
+
+const main = async () => {
+  let db;
+
+  try {
+    const { positionals } = parseArgs(process.argv.slice(2), {});
+    const [command = 'status', target] = positionals;
+
+    if (!COMMANDS.includes(command)) {
+      throw new Error(`Unknown command "${command}". Use one of: ${COMMANDS.join(', ')}`);
+    }
+
+    db = await openDatabase(getDatabaseConfig());
+
+    if (command === 'up') {
+      const applied = await migrateUp(db, parseTarget(target));
+      console.log(applied.length ? 'Migrations applied.' : 'Schema is already up to date.');
+    } else if (command === 'down') {
+      const reverted = await migrateDown(db, parseTarget(target));
+      console.log(reverted.length ? 'Migrations reverted.' : 'No migrations to revert.');
+    } else {
+      console.table(await migrationStatus(db));
+    }
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    if (db) {
+      try {
+        await db.close();
+      } catch (error) {
+        console.error('Error closing database connection:', error);
+      }
+    }
+  }
+};
+
+main();
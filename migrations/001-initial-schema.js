@@ -0,0 +1,85 @@
+import { withForeignKeys } from '../lib/db/dialects.js';
+
+export const up = (dialect) => {
+  const loadId = dialect.autoIncrement('load_history_load_id_seq', 'load_id');
+
+  return [
+    `CREATE TABLE IF NOT EXISTS customers (
+    customer_id INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    email TEXT NOT NULL,
+    signup_date TEXT NOT NULL,
+    country TEXT NOT NULL
+  );`,
+    `CREATE TABLE IF NOT EXISTS products (
+    product_id INTEGER PRIMARY KEY,
+    product_name TEXT NOT NULL,
+    category TEXT NOT NULL,
+    price ${dialect.real} NOT NULL,
+    stock_quantity INTEGER NOT NULL
+  );`,
+    `CREATE TABLE IF NOT EXISTS orders (
+    order_id INTEGER PRIMARY KEY,
+    customer_id INTEGER NOT NULL,
+    order_date TEXT NOT NULL,
+    total_amount ${dialect.real} NOT NULL${withForeignKeys(dialect, [
+      ['customer_id', 'customers(customer_id)'],
+    ])}
+  );`,
+    `CREATE TABLE IF NOT EXISTS order_items (
+    order_item_id INTEGER PRIMARY KEY,
+    order_id INTEGER NOT NULL,
+    product_id INTEGER NOT NULL,
+    quantity INTEGER NOT NULL,
+    unit_price ${dialect.real} NOT NULL${withForeignKeys(dialect, [
+      ['order_id', 'orders(order_id)'],
+      ['product_id', 'products(product_id)', { onDelete: 'RESTRICT' }],
+    ])}
+  );`,
+    `CREATE TABLE IF NOT EXISTS payments (
+    payment_id INTEGER PRIMARY KEY,
+    order_id INTEGER NOT NULL,
+    parent_payment_id INTEGER,
+    payment_type TEXT NOT NULL CHECK (payment_type IN ('Charge', 'Refund', 'Chargeback')),
+    payment_method TEXT NOT NULL,
+    payment_status TEXT NOT NULL,
+    amount ${dialect.real} NOT NULL CHECK (amount >= 0),
+    payment_date TEXT NOT NULL${withForeignKeys(dialect, [
+      ['order_id', 'orders(order_id)'],
+      ['parent_payment_id', 'payments(payment_id)'],
+    ])}
+  );`,
+    `CREATE TABLE IF NOT EXISTS inventory_movements (
+    movement_id INTEGER PRIMARY KEY,
+    product_id INTEGER NOT NULL,
+    order_item_id INTEGER,
+    movement_type TEXT NOT NULL CHECK (movement_type IN ('Initial', 'Restock', 'Sale', 'Backorder')),
+    quantity INTEGER NOT NULL,
+    movement_date TEXT NOT NULL${withForeignKeys(dialect, [
+      ['product_id', 'products(product_id)'],
+      ['order_item_id', 'order_items(order_item_id)'],
+    ])}
+  );`,
+    ...loadId.setup,
+    `CREATE TABLE IF NOT EXISTS load_history (
+    ${loadId.column},
+    batch_id TEXT NOT NULL,
+    file_name TEXT NOT NULL,
+    checksum TEXT NOT NULL,
+    row_count INTEGER NOT NULL,
+    loaded_at TEXT NOT NULL,
+    UNIQUE (file_name, checksum)
+  );`,
+  ];
+};
+
+export const down = (dialect) => [
+  'DROP TABLE IF EXISTS load_history;',
+  ...dialect.autoIncrement('load_history_load_id_seq', 'load_id').teardown,
+  'DROP TABLE IF EXISTS inventory_movements;',
+  'DROP TABLE IF EXISTS payments;',
+  'DROP TABLE IF EXISTS order_items;',
+  'DROP TABLE IF EXISTS orders;',
+  'DROP TABLE IF EXISTS products;',
+  'DROP TABLE IF EXISTS customers;',
+];
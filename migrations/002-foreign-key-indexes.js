@@ -0,0 +1,17 @@
+export const up = [
+  'CREATE INDEX IF NOT EXISTS idx_orders_customer_id ON orders (customer_id);',
+  'CREATE INDEX IF NOT EXISTS idx_orders_order_date ON orders (order_date);',
+  'CREATE INDEX IF NOT EXISTS idx_order_items_order_id ON order_items (order_id);',
+  'CREATE INDEX IF NOT EXISTS idx_order_items_product_id ON order_items (product_id);',
+  'CREATE INDEX IF NOT EXISTS idx_payments_order_id ON payments (order_id);',
+  'CREATE INDEX IF NOT EXISTS idx_inventory_movements_product_id ON inventory_movements (product_id);',
+];
+
+export const down = [
+  'DROP INDEX IF EXISTS idx_inventory_movements_product_id;',
+  'DROP INDEX IF EXISTS idx_payments_order_id;',
+  'DROP INDEX IF EXISTS idx_order_items_product_id;',
+  'DROP INDEX IF EXISTS idx_order_items_order_id;',
+  'DROP INDEX IF EXISTS idx_orders_order_date;',
+  'DROP INDEX IF EXISTS idx_orders_customer_id;',
+];
@@ -0,0 +1,5 @@
+export const up = (dialect) => [
+  dialect.addColumn('load_history', 'rejected_count', 'INTEGER', 0),
+];
+
+export const down = ['ALTER TABLE load_history DROP COLUMN rejected_count;'];
@@ -0,0 +1,25 @@
+import { withForeignKeys } from '../lib/db/dialects.js';
+
+export const up = (dialect) => [
+  `CREATE TABLE IF NOT EXISTS customer_segments (
+    customer_id INTEGER NOT NULL,
+    scored_at TEXT NOT NULL,
+    last_order_date TEXT,
+    recency_days INTEGER,
+    frequency INTEGER NOT NULL,
+    monetary ${dialect.real} NOT NULL,
+    r_score INTEGER NOT NULL CHECK (r_score BETWEEN 0 AND 5),
+    f_score INTEGER NOT NULL CHECK (f_score BETWEEN 0 AND 5),
+    m_score INTEGER NOT NULL CHECK (m_score BETWEEN 0 AND 5),
+    segment TEXT NOT NULL,
+    PRIMARY KEY (customer_id, scored_at)${withForeignKeys(dialect, [
+    ['customer_id', 'customers(customer_id)'],
+  ])}
+  );`,
+  'CREATE INDEX IF NOT EXISTS idx_customer_segments_scored_at ON customer_segments (scored_at);',
+];
+
+export const down = [
+  'DROP INDEX IF EXISTS idx_customer_segments_scored_at;',
+  'DROP TABLE IF EXISTS customer_segments;',
+];
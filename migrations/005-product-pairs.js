@@ -0,0 +1,21 @@
+export const up = (dialect) => [
+  `CREATE TABLE IF NOT EXISTS product_pairs (
+    product_id INTEGER NOT NULL,
+    related_product_id INTEGER NOT NULL,
+    pair_orders INTEGER NOT NULL,
+    product_orders INTEGER NOT NULL,
+    related_orders INTEGER NOT NULL,
+    total_orders INTEGER NOT NULL,
+    support ${dialect.real} NOT NULL,
+    confidence ${dialect.real} NOT NULL,
+    lift ${dialect.real} NOT NULL,
+    computed_at TEXT NOT NULL,
+    PRIMARY KEY (product_id, related_product_id)
+  );`,
+  'CREATE INDEX IF NOT EXISTS idx_product_pairs_lift ON product_pairs (lift);',
+];
+
+export const down = [
+  'DROP INDEX IF EXISTS idx_product_pairs_lift;',
+  'DROP TABLE IF EXISTS product_pairs;',
+];
@@ -0,0 +1,19 @@
+const CURRENCY_TABLES = ['orders', 'order_items', 'payments'];
+
+// Rows loaded before amounts carried a currency were all priced in US dollars.
+export const up = (dialect) => [
+  ...CURRENCY_TABLES.map((tableName) =>
+    dialect.addColumn(tableName, 'currency', 'TEXT', "'USD'")
+  ),
+  `CREATE TABLE IF NOT EXISTS fx_rates (
+    rate_date TEXT NOT NULL,
+    currency TEXT NOT NULL,
+    rate ${dialect.real} NOT NULL CHECK (rate > 0),
+    PRIMARY KEY (rate_date, currency)
+  );`,
+];
+
+export const down = [
+  'DROP TABLE IF EXISTS fx_rates;',
+  ...CURRENCY_TABLES.map((tableName) => `ALTER TABLE ${tableName} DROP COLUMN currency;`),
+];
@@ -0,0 +1,44 @@
+import { withForeignKeys } from '../lib/db/dialects.js';
+
+export const up = (dialect) => [
+  `CREATE TABLE IF NOT EXISTS shipments (
+    shipment_id INTEGER PRIMARY KEY,
+    order_id INTEGER NOT NULL,
+    carrier TEXT NOT NULL,
+    tracking_number TEXT NOT NULL,
+    shipped_at TEXT NOT NULL,
+    delivered_at TEXT${withForeignKeys(dialect, [['order_id', 'orders(order_id)']])}
+  );`,
+  `CREATE TABLE IF NOT EXISTS order_status_history (
+    status_id INTEGER PRIMARY KEY,
+    order_id INTEGER NOT NULL,
+    status TEXT NOT NULL CHECK (status IN (
+      'Placed', 'Paid', 'Shipped', 'Delivered', 'Partially Returned', 'Returned', 'Cancelled'
+    )),
+    status_date TEXT NOT NULL${withForeignKeys(dialect, [['order_id', 'orders(order_id)']])}
+  );`,
+  `CREATE TABLE IF NOT EXISTS returns (
+    return_id INTEGER PRIMARY KEY,
+    order_item_id INTEGER NOT NULL,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    return_reason TEXT NOT NULL,
+    requested_at TEXT NOT NULL,
+    received_at TEXT,
+    refund_payment_id INTEGER${withForeignKeys(dialect, [
+      ['order_item_id', 'order_items(order_item_id)'],
+      ['refund_payment_id', 'payments(payment_id)'],
+    ])}
+  );`,
+  'CREATE INDEX IF NOT EXISTS idx_shipments_order_id ON shipments (order_id);',
+  'CREATE INDEX IF NOT EXISTS idx_order_status_history_order_id ON order_status_history (order_id);',
+  'CREATE INDEX IF NOT EXISTS idx_returns_order_item_id ON returns (order_item_id);',
+];
+
+export const down = [
+  'DROP INDEX IF EXISTS idx_returns_order_item_id;',
+  'DROP INDEX IF EXISTS idx_order_status_history_order_id;',
+  'DROP INDEX IF EXISTS idx_shipments_order_id;',
+  'DROP TABLE IF EXISTS returns;',
+  'DROP TABLE IF EXISTS order_status_history;',
+  'DROP TABLE IF EXISTS shipments;',
+];
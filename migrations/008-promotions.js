@@ -0,0 +1,37 @@
+// Lines loaded before promotions existed were charged their list price.
+export const up = (dialect) => [
+  `CREATE TABLE IF NOT EXISTS promotions (
+    promotion_id INTEGER PRIMARY KEY,
+    promotion_code TEXT,
+    promotion_type TEXT NOT NULL CHECK (promotion_type IN (
+      'Percentage Coupon', 'Fixed Coupon', 'Category Sale', 'Buy X Get Y'
+    )),
+    category TEXT,
+    discount_percent ${dialect.real},
+    discount_amount ${dialect.real},
+    min_order_amount ${dialect.real},
+    buy_quantity INTEGER,
+    get_quantity INTEGER,
+    starts_on TEXT NOT NULL,
+    ends_on TEXT NOT NULL
+  );`,
+  `ALTER TABLE products ADD COLUMN unit_cost ${dialect.real};`,
+  'ALTER TABLE orders ADD COLUMN coupon_id INTEGER;',
+  `ALTER TABLE order_items ADD COLUMN list_price ${dialect.real};`,
+  'UPDATE order_items SET list_price = unit_price WHERE list_price IS NULL;',
+  dialect.addColumn('order_items', 'discount_amount', dialect.real, 0),
+  'ALTER TABLE order_items ADD COLUMN promotion_id INTEGER;',
+  'CREATE INDEX IF NOT EXISTS idx_orders_coupon_id ON orders (coupon_id);',
+  'CREATE INDEX IF NOT EXISTS idx_order_items_promotion_id ON order_items (promotion_id);',
+];
+
+export const down = [
+  'DROP INDEX IF EXISTS idx_order_items_promotion_id;',
+  'DROP INDEX IF EXISTS idx_orders_coupon_id;',
+  'ALTER TABLE order_items DROP COLUMN promotion_id;',
+  'ALTER TABLE order_items DROP COLUMN discount_amount;',
+  'ALTER TABLE order_items DROP COLUMN list_price;',
+  'ALTER TABLE orders DROP COLUMN coupon_id;',
+  'ALTER TABLE products DROP COLUMN unit_cost;',
+  'DROP TABLE IF EXISTS promotions;',
+];
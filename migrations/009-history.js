@@ -0,0 +1,50 @@
+import { withForeignKeys } from '../lib/db/dialects.js';
+
+// Customers and products loaded before history was kept get a single open
+// version: customers from their signup date, products from the earliest order.
+export const up = (dialect) => [
+  `CREATE TABLE IF NOT EXISTS customer_history (
+    customer_history_id INTEGER PRIMARY KEY,
+    customer_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    email TEXT NOT NULL,
+    country TEXT NOT NULL,
+    valid_from TEXT NOT NULL,
+    valid_to TEXT${withForeignKeys(dialect, [['customer_id', 'customers(customer_id)']])}
+  );`,
+  `CREATE TABLE IF NOT EXISTS product_history (
+    product_history_id INTEGER PRIMARY KEY,
+    product_id INTEGER NOT NULL,
+    product_name TEXT NOT NULL,
+    category TEXT NOT NULL,
+    price ${dialect.real} NOT NULL CHECK (price >= 0),
+    unit_cost ${dialect.real},
+    valid_from TEXT NOT NULL,
+    valid_to TEXT${withForeignKeys(dialect, [['product_id', 'products(product_id)']])}
+  );`,
+  `INSERT INTO customer_history
+    (customer_history_id, customer_id, name, email, country, valid_from, valid_to)
+  SELECT customer_id, customer_id, name, email, country, signup_date || 'T00:00:00.000Z', NULL
+  FROM customers;`,
+  `INSERT INTO product_history
+    (product_history_id, product_id, product_name, category, price, unit_cost, valid_from, valid_to)
+  SELECT
+    product_id,
+    product_id,
+    product_name,
+    category,
+    price,
+    unit_cost,
+    COALESCE((SELECT MIN(order_date) FROM orders), '1970-01-01T00:00:00.000Z'),
+    NULL
+  FROM products;`,
+  'CREATE INDEX IF NOT EXISTS idx_customer_history_customer_id ON customer_history (customer_id, valid_from);',
+  'CREATE INDEX IF NOT EXISTS idx_product_history_product_id ON product_history (product_id, valid_from);',
+];
+
+export const down = [
+  'DROP INDEX IF EXISTS idx_product_history_product_id;',
+  'DROP INDEX IF EXISTS idx_customer_history_customer_id;',
+  'DROP TABLE IF EXISTS product_history;',
+  'DROP TABLE IF EXISTS customer_history;',
+];
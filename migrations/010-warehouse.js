@@ -0,0 +1,99 @@
+// Star schema built from the loaded tables by build-warehouse.js. Dimension
+// keys are the history ids, so facts keep pointing at the version that was
+// valid when the order was placed; current_* columns repeat the current values
+// on every version. Amounts are in the base currency.
+export const up = (dialect) => [
+  `CREATE TABLE IF NOT EXISTS dim_date (
+    date_key INTEGER PRIMARY KEY,
+    date TEXT NOT NULL,
+    year INTEGER NOT NULL,
+    quarter INTEGER NOT NULL,
+    month INTEGER NOT NULL,
+    month_key TEXT NOT NULL,
+    day_of_month INTEGER NOT NULL,
+    day_of_week INTEGER NOT NULL,
+    day_name TEXT NOT NULL,
+    is_weekend INTEGER NOT NULL
+  );`,
+  `CREATE TABLE IF NOT EXISTS dim_customer (
+    customer_key INTEGER PRIMARY KEY,
+    customer_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    email TEXT NOT NULL,
+    country TEXT NOT NULL,
+    signup_date TEXT NOT NULL,
+    current_country TEXT NOT NULL,
+    valid_from TEXT NOT NULL,
+    valid_to TEXT,
+    is_current INTEGER NOT NULL
+  );`,
+  `CREATE TABLE IF NOT EXISTS dim_product (
+    product_key INTEGER PRIMARY KEY,
+    product_id INTEGER NOT NULL,
+    product_name TEXT NOT NULL,
+    category TEXT NOT NULL,
+    price ${dialect.real} NOT NULL,
+    unit_cost ${dialect.real},
+    current_product_name TEXT NOT NULL,
+    current_category TEXT NOT NULL,
+    valid_from TEXT NOT NULL,
+    valid_to TEXT,
+    is_current INTEGER NOT NULL
+  );`,
+  `CREATE TABLE IF NOT EXISTS fact_sales (
+    order_item_id INTEGER NOT NULL,
+    order_id INTEGER NOT NULL,
+    date_key INTEGER NOT NULL,
+    customer_key INTEGER,
+    product_key INTEGER,
+    quantity INTEGER NOT NULL,
+    currency TEXT NOT NULL,
+    net_amount ${dialect.real} NOT NULL,
+    net_amount_base ${dialect.real},
+    discount_amount_base ${dialect.real},
+    cost_amount_base ${dialect.real},
+    is_paid INTEGER NOT NULL
+  );`,
+  `CREATE TABLE IF NOT EXISTS agg_sales_daily (
+    date_key INTEGER NOT NULL,
+    category TEXT,
+    current_category TEXT,
+    country TEXT,
+    current_country TEXT,
+    units INTEGER NOT NULL,
+    orders INTEGER NOT NULL,
+    paid_orders INTEGER NOT NULL,
+    category_orders INTEGER NOT NULL,
+    current_category_orders INTEGER NOT NULL,
+    revenue_base ${dialect.real},
+    paid_revenue_base ${dialect.real},
+    discount_base ${dialect.real},
+    cost_base ${dialect.real}
+  );`,
+  'CREATE TABLE IF NOT EXISTS warehouse_refresh_days (date_key INTEGER PRIMARY KEY);',
+  'CREATE INDEX IF NOT EXISTS idx_dim_customer_customer_id ON dim_customer (customer_id);',
+  'CREATE INDEX IF NOT EXISTS idx_dim_product_product_id ON dim_product (product_id);',
+  'CREATE INDEX IF NOT EXISTS idx_fact_sales_order_item_id ON fact_sales (order_item_id);',
+  'CREATE INDEX IF NOT EXISTS idx_fact_sales_order_id ON fact_sales (order_id);',
+  'CREATE INDEX IF NOT EXISTS idx_fact_sales_date_key ON fact_sales (date_key);',
+  'CREATE INDEX IF NOT EXISTS idx_fact_sales_customer_key ON fact_sales (customer_key);',
+  'CREATE INDEX IF NOT EXISTS idx_fact_sales_product_key ON fact_sales (product_key);',
+  'CREATE INDEX IF NOT EXISTS idx_agg_sales_daily_date_key ON agg_sales_daily (date_key);',
+];
+
+export const down = [
+  'DROP INDEX IF EXISTS idx_agg_sales_daily_date_key;',
+  'DROP INDEX IF EXISTS idx_fact_sales_product_key;',
+  'DROP INDEX IF EXISTS idx_fact_sales_customer_key;',
+  'DROP INDEX IF EXISTS idx_fact_sales_date_key;',
+  'DROP INDEX IF EXISTS idx_fact_sales_order_id;',
+  'DROP INDEX IF EXISTS idx_fact_sales_order_item_id;',
+  'DROP INDEX IF EXISTS idx_dim_product_product_id;',
+  'DROP INDEX IF EXISTS idx_dim_customer_customer_id;',
+  'DROP TABLE IF EXISTS warehouse_refresh_days;',
+  'DROP TABLE IF EXISTS agg_sales_daily;',
+  'DROP TABLE IF EXISTS fact_sales;',
+  'DROP TABLE IF EXISTS dim_product;',
+  'DROP TABLE IF EXISTS dim_customer;',
+  'DROP TABLE IF EXISTS dim_date;',
+];
@@ -0,0 +1,13 @@
+// One row per warehouse refresh with the newest load it covers, so reports can
+// tell a warehouse that was never built or predates the latest load, and the
+// newest payment it saw, so the next refresh knows which orders to recheck.
+export const up = [
+  `CREATE TABLE IF NOT EXISTS warehouse_builds (
+    load_id INTEGER,
+    last_payment_id INTEGER,
+    full_build INTEGER NOT NULL,
+    built_at TEXT NOT NULL
+  );`,
+];
+
+export const down = ['DROP TABLE IF EXISTS warehouse_builds;'];
@@ -0,0 +1,128 @@
+import { isMain, parseArgs } from './lib/cli.js';
+import { BASE_CURRENCY } from './lib/currencies.js';
+import { getDatabaseConfig, openDatabase } from './lib/db/index.js';
+import { assertSchemaCurrent } from './lib/migrations.js';
+import { printTable } from './lib/report-formats.js';
+import { loadReports, resolveParams, runReport } from './lib/reports.js';
+
+const RECONCILIATION_REPORTS = ['revenue-reconciliation', 'payment-methods', 'order-discrepancies'];
+// Exit code for a successful run that found more discrepancies than allowed,
+// kept apart from 1 so schedulers can tell a failed audit from a crash.
+const DISCREPANCY_EXIT_CODE = 2;
+
+const parseOptions = (argv) => {
+  const { options } = parseArgs(argv, {
+    from: { type: 'string' },
+    to: { type: 'string' },
+    tolerance: { type: 'number', default: 0.01 },
+    'max-discrepancies': { type: 'integer', default: 0 },
+    limit: { type: 'integer', default: 20 },
+    currency: { type: 'string', default: BASE_CURRENCY },
+  });
+
+  if (options['max-discrepancies'] < 0) {
+    throw new Error('--max-discrepancies must not be negative');
+  }
+
+  return {
+    maxDiscrepancies: options['max-discrepancies'],
+    params: {
+      from: options.from,
+      to: options.to,
+      tolerance: options.tolerance,
+      limit: options.limit,
+      currency: options.currency,
+    },
+  };
+};
+
+const sumColumn = (rows, column) => rows.reduce((sum, row) => sum + row[column], 0);
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Resolves with the audit outcome; throws only when the audit could not run.
+export const reconcile = async (argv = []) => {
+  let db;
+
+  try {
+    const options = parseOptions(argv);
+    const reports = await loadReports();
+    const selected = RECONCILIATION_REPORTS.map((name) => {
+      const report = reports.find((candidate) => candidate.name === name);
+      if (!report) {
+        throw new Error(`Reconciliation needs the ${name} report, which is missing from reports/`);
+      }
+      return { report, params: resolveParams(report, options.params) };
+    });
+
+    const config = getDatabaseConfig();
+    console.log(`Connecting to ecommerce database (${config.client})...`);
+    db = await openDatabase(config, { readOnly: true });
+    await assertSchemaCurrent(db);
+
+    console.log(`Reconciling orders, line items and payments (tolerance ${options.params.tolerance})...`);
+    const results = Object.fromEntries(
+      await Promise.all(
+        selected.map(async ({ report, params }) => [report.name, await runReport(db, report, params)])
+      )
+    );
+
+    const monthly = results['revenue-reconciliation'];
+    const discrepancies = results['order-discrepancies'];
+    printTable('Revenue by Order Month', monthly);
+    printTable('Gross versus Collected by Payment Method', results['payment-methods']);
+    printTable('Order Discrepancies', discrepancies);
+
+    const discrepantOrders = sumColumn(monthly, 'discrepant_orders');
+    console.log(`\n=== Summary (${options.params.currency}) ===`);
+    console.table([
+      {
+        orders: sumColumn(monthly, 'orders'),
+        booked: round(sumColumn(monthly, 'booked')),
+        collected: round(sumColumn(monthly, 'collected')),
+        net_collected: round(sumColumn(monthly, 'net_collected')),
+        outstanding: round(sumColumn(monthly, 'outstanding_amount')),
+        discrepant_orders: discrepantOrders,
+      },
+    ]);
+    if (discrepancies.length < discrepantOrders) {
+      console.log(
+        `Showing ${discrepancies.length} of ${discrepantOrders} discrepant orders; raise --limit to see more.`
+      );
+    }
+
+    const passed = discrepantOrders <= options.maxDiscrepancies;
+    if (passed) {
+      console.log('Reconciliation passed.');
+    } else {
+      console.error(
+        `Reconciliation failed: ${discrepantOrders} discrepant orders, at most ${options.maxDiscrepancies} allowed.`
+      );
+    }
+    return { passed, discrepantOrders, maxDiscrepancies: options.maxDiscrepancies };
+  } finally {
+    if (db) {
+      try {
+        await db.close();
+      } catch (error) {
+        console.error('Error closing database connection:', error);
+      }
+    }
+  }
+};
+
+const main = async () => {
+  try {
+    const { passed } = await reconcile(process.argv.slice(2));
+    if (!passed) {
+      process.exitCode = DISCREPANCY_EXIT_CODE;
+    }
+  } catch (error) {
+    console.error('Failed to reconcile revenue:', error);
+    process.exitCode = 1;
+  }
+};
+
+if (isMain(import.meta.url)) {
+  main();
+}
@@ -0,0 +1,23 @@
+export const title = 'Customers Who Bought This Also Bought';
+
+export const description = 'Top related products for one product, by confidence and lift';
+
+export const params = {
+  product: { type: 'integer', required: true, min: 1 },
+  limit: { type: 'integer', default: 5, min: 1 },
+};
+
+export const sql = `
+  SELECT
+    pp.related_product_id,
+    r.product_name AS related_product_name,
+    r.category AS related_category,
+    pp.pair_orders,
+    ROUND(pp.confidence, 4) AS confidence,
+    ROUND(pp.lift, 3) AS lift
+  FROM product_pairs pp
+  INNER JOIN products r ON r.product_id = pp.related_product_id
+  WHERE pp.product_id = $product
+  ORDER BY pp.confidence DESC, pp.lift DESC, pp.related_product_id
+  LIMIT $limit;
+`;
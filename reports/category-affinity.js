@@ -0,0 +1,43 @@
+export const title = 'Categories Bought Together';
+
+export const description = 'Association rules between product categories (support, confidence, lift)';
+
+export const params = {
+  from: { type: 'date' },
+  to: { type: 'date' },
+};
+
+export const sql = `
+  WITH baskets AS (
+    SELECT DISTINCT oi.order_id, p.category
+    FROM order_items oi
+    INNER JOIN products p ON p.product_id = oi.product_id
+    INNER JOIN orders o ON o.order_id = oi.order_id
+    WHERE ($from IS NULL OR o.order_date >= $from)
+      AND ($to IS NULL OR SUBSTR(o.order_date, 1, 10) <= $to)
+  ),
+  category_orders AS (
+    SELECT category, COUNT(*) AS orders FROM baskets GROUP BY category
+  ),
+  totals AS (
+    SELECT COUNT(DISTINCT order_id) AS orders FROM baskets
+  ),
+  pairs AS (
+    SELECT a.category, b.category AS related_category, COUNT(*) AS pair_orders
+    FROM baskets a
+    INNER JOIN baskets b ON b.order_id = a.order_id AND b.category <> a.category
+    GROUP BY a.category, b.category
+  )
+  SELECT
+    p.category,
+    p.related_category,
+    p.pair_orders,
+    ROUND(1.0 * p.pair_orders / t.orders, 5) AS support,
+    ROUND(1.0 * p.pair_orders / ca.orders, 4) AS confidence,
+    ROUND((1.0 * p.pair_orders * t.orders) / (1.0 * ca.orders * cb.orders), 3) AS lift
+  FROM pairs p
+  INNER JOIN category_orders ca ON ca.category = p.category
+  INNER JOIN category_orders cb ON cb.category = p.related_category
+  CROSS JOIN totals t
+  ORDER BY lift DESC, p.pair_orders DESC, p.category, p.related_category;
+`;
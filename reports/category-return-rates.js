@@ -0,0 +1,31 @@
+import { CURRENCY_PARAM, FX_FACTORS, fxJoin } from '../lib/fx.js';
+import { DELIVERED_LINES } from '../lib/returns.js';
+
+export const title = 'Return Rate by Category';
+
+export const description =
+  'Delivered and returned units per product category, with the return rate and the value of returned goods';
+
+export const params = {
+  from: { type: 'date' },
+  to: { type: 'date' },
+  currency: CURRENCY_PARAM,
+};
+
+export const sql = `
+  WITH ${FX_FACTORS},
+  ${DELIVERED_LINES.trim()}
+  SELECT
+    p.category,
+    SUM(d.quantity) AS delivered_units,
+    COALESCE(SUM(r.quantity), 0) AS returned_units,
+    ROUND(100.0 * COALESCE(SUM(r.quantity), 0) / SUM(d.quantity), 2) AS return_rate_pct,
+    COALESCE(SUM(r.returns), 0) AS returns,
+    ROUND(COALESCE(SUM(r.quantity * d.unit_price * fx.factor), 0), 2) AS returned_value
+  FROM delivered_lines d
+  INNER JOIN products p ON p.product_id = d.product_id
+  LEFT JOIN returned_lines r ON r.order_item_id = d.order_item_id
+  ${fxJoin('fx', 'd.currency', 'd.order_date')}
+  GROUP BY p.category
+  ORDER BY return_rate_pct DESC;
+`;
@@ -0,0 +1,51 @@
+import { pivotRetention } from '../lib/cohorts.js';
+
+export const title = 'Cohort Retention by Signup Month';
+
+export const description =
+  'Customers per signup-month cohort who ordered in each later month (m0 = signup month)';
+
+export const params = {
+  from: { type: 'date' },
+  to: { type: 'date' },
+  months: { type: 'integer', default: 12, min: 1 },
+};
+
+export const sql = (dialect) => `
+  WITH cohorts AS (
+    SELECT
+      customer_id,
+      ${dialect.month('signup_date')} AS cohort_month,
+      ${dialect.monthIndex('signup_date')} AS cohort_index
+    FROM customers
+    WHERE ($from IS NULL OR signup_date >= $from)
+      AND ($to IS NULL OR SUBSTR(signup_date, 1, 10) <= $to)
+  ),
+  cohort_sizes AS (
+    SELECT cohort_month, MIN(cohort_index) AS cohort_index, COUNT(*) AS cohort_size
+    FROM cohorts
+    GROUP BY cohort_month
+  ),
+  activity AS (
+    SELECT
+      co.cohort_month,
+      ${dialect.monthIndex('o.order_date')} - co.cohort_index AS months_since_signup,
+      COUNT(DISTINCT co.customer_id) AS active_customers
+    FROM cohorts co
+    INNER JOIN orders o ON o.customer_id = co.customer_id
+    GROUP BY co.cohort_month, months_since_signup
+  )
+  SELECT
+    s.cohort_month,
+    s.cohort_index,
+    s.cohort_size,
+    a.months_since_signup,
+    a.active_customers,
+    (SELECT ${dialect.monthIndex('MAX(order_date)')} FROM orders) AS last_month_index
+  FROM cohort_sizes s
+  LEFT JOIN activity a ON a.cohort_month = s.cohort_month
+  ORDER BY s.cohort_month, a.months_since_signup;
+`;
+
+export const transform = (rows, { months }) =>
+  pivotRetention(rows, { months, lastMonthIndex: rows[0]?.last_month_index ?? 0 });
@@ -0,0 +1,61 @@
+import { cohortValue } from '../lib/cohorts.js';
+import { CURRENCY_PARAM, FX_FACTORS, fxJoin } from '../lib/fx.js';
+
+export const title = 'Cohort Order Value and Customer Lifetime Value';
+
+export const description =
+  'Paid order value, purchase frequency and historical/predicted CLV per signup-month cohort';
+
+export const params = {
+  from: { type: 'date' },
+  to: { type: 'date' },
+  horizon: { type: 'integer', default: 12, min: 1 },
+  currency: CURRENCY_PARAM,
+};
+
+// Only orders with a completed charge count towards order value and CLV.
+export const sql = (dialect) => `
+  WITH ${FX_FACTORS},
+  cohorts AS (
+    SELECT
+      customer_id,
+      ${dialect.month('signup_date')} AS cohort_month,
+      ${dialect.monthIndex('signup_date')} AS cohort_index
+    FROM customers
+    WHERE ($from IS NULL OR signup_date >= $from)
+      AND ($to IS NULL OR SUBSTR(signup_date, 1, 10) <= $to)
+  ),
+  customer_orders AS (
+    SELECT
+      co.cohort_month,
+      co.cohort_index,
+      co.customer_id,
+      COUNT(o.order_id) AS orders,
+      COALESCE(SUM(o.total_amount * fx.factor), 0) AS revenue
+    FROM cohorts co
+    LEFT JOIN orders o ON o.customer_id = co.customer_id
+      AND EXISTS (
+        SELECT 1
+        FROM payments pay
+        WHERE pay.order_id = o.order_id
+          AND pay.payment_type = 'Charge'
+          AND pay.payment_status = 'Completed'
+      )
+    ${fxJoin('fx', 'o.currency', 'o.order_date')}
+    GROUP BY co.cohort_month, co.cohort_index, co.customer_id
+  )
+  SELECT
+    cohort_month,
+    COUNT(*) AS customers,
+    SUM(CASE WHEN orders > 0 THEN 1 ELSE 0 END) AS buyers,
+    SUM(CASE WHEN orders > 1 THEN 1 ELSE 0 END) AS repeat_buyers,
+    SUM(orders) AS orders,
+    SUM(revenue) AS revenue,
+    (SELECT ${dialect.monthIndex('MAX(order_date)')} FROM orders) - MIN(cohort_index) + 1
+      AS observed_months
+  FROM customer_orders
+  GROUP BY cohort_month
+  ORDER BY cohort_month;
+`;
+
+export const transform = (rows, { horizon }) => cohortValue(rows, { horizon });
@@ -0,0 +1,60 @@
+import { AS_OF_PARAM, asOf } from '../lib/as-of.js';
+import { BASE_CURRENCY } from '../lib/currencies.js';
+import { CURRENCY_PARAM, FX_FACTORS, fxJoin } from '../lib/fx.js';
+
+export const title = 'Customers and Revenue by Country';
+
+export const description = 'Customer count, orders and revenue per country';
+
+export const warehouse = true;
+
+export const params = {
+  from: { type: 'date' },
+  to: { type: 'date' },
+  currency: CURRENCY_PARAM,
+  as_of: AS_OF_PARAM,
+  limit: { type: 'integer', default: 20, min: 1 },
+};
+
+// With --as-of order a customer who moved is counted in every country they
+// ordered from; customers without orders in the period count where they live now.
+export const sql = `
+  WITH ${FX_FACTORS},
+  order_sales AS (
+    SELECT
+      f.order_id,
+      dc.customer_id,
+      ${asOf('dc.country', 'dc.current_country')} AS country,
+      SUM(f.net_amount_base * fx.factor) AS amount
+    FROM fact_sales f
+    INNER JOIN dim_customer dc ON dc.customer_key = f.customer_key
+    INNER JOIN dim_date d ON d.date_key = f.date_key
+    ${fxJoin('fx', `'${BASE_CURRENCY}'`, 'd.date')}
+    WHERE ($from IS NULL OR d.date >= $from)
+      AND ($to IS NULL OR d.date <= $to)
+    GROUP BY f.order_id, dc.customer_id, dc.country, dc.current_country
+  ),
+  customer_countries AS (
+    SELECT DISTINCT customer_id, country FROM order_sales
+    UNION
+    SELECT customer_id, current_country
+    FROM dim_customer
+    WHERE is_current = 1 AND customer_id NOT IN (SELECT customer_id FROM order_sales)
+  ),
+  country_sales AS (
+    SELECT country, COUNT(*) AS orders, SUM(amount) AS revenue
+    FROM order_sales
+    GROUP BY country
+  )
+  SELECT
+    cc.country,
+    COUNT(*) AS customers,
+    COALESCE(s.orders, 0) AS orders,
+    ROUND(COALESCE(s.revenue, 0), 2) AS revenue,
+    ROUND(COALESCE(s.revenue / s.orders, 0), 2) AS avg_order_value
+  FROM customer_countries cc
+  LEFT JOIN country_sales s ON s.country = cc.country
+  GROUP BY cc.country, s.orders, s.revenue
+  ORDER BY revenue DESC, customers DESC
+  LIMIT $limit;
+`;
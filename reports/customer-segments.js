@@ -0,0 +1,21 @@
+export const title = 'Customer Segments';
+
+export const description = 'Customers and average RFM values per segment for one scoring date';
+
+export const params = {
+  date: { type: 'date' },
+};
+
+export const sql = `
+  SELECT
+    segment,
+    COUNT(*) AS customers,
+    ROUND(AVG(recency_days), 1) AS avg_recency_days,
+    ROUND(AVG(frequency), 2) AS avg_frequency,
+    ROUND(AVG(monetary), 2) AS avg_monetary,
+    ROUND(SUM(monetary), 2) AS total_monetary
+  FROM customer_segments
+  WHERE scored_at = COALESCE($date, (SELECT MAX(scored_at) FROM customer_segments))
+  GROUP BY segment
+  ORDER BY customers DESC;
+`;
@@ -0,0 +1,37 @@
+import { BASE_CURRENCY } from '../lib/currencies.js';
+import { CURRENCY_PARAM, FX_FACTORS, fxJoin } from '../lib/fx.js';
+
+export const title = 'Monthly Sales Revenue';
+
+export const description =
+  'Revenue and order count per month from orders with a completed charge, plus unpaid orders';
+
+export const warehouse = true;
+
+export const params = {
+  from: { type: 'date' },
+  to: { type: 'date' },
+  country: { type: 'string' },
+  currency: CURRENCY_PARAM,
+};
+
+// Only orders with a completed charge count as revenue; orders whose payment
+// failed or is still pending are reported separately as unpaid. Daily
+// aggregates are converted at each day's rate before they are summed by month.
+export const sql = `
+  WITH ${FX_FACTORS}
+  SELECT
+    d.month_key AS month,
+    ROUND(SUM(a.paid_revenue_base * fx.factor), 2) AS total_revenue,
+    SUM(a.paid_orders) AS total_orders,
+    SUM(a.orders - a.paid_orders) AS unpaid_orders,
+    ROUND(SUM((a.revenue_base - a.paid_revenue_base) * fx.factor), 2) AS unpaid_amount
+  FROM agg_sales_daily a
+  INNER JOIN dim_date d ON d.date_key = a.date_key
+  ${fxJoin('fx', `'${BASE_CURRENCY}'`, 'd.date')}
+  WHERE ($from IS NULL OR d.date >= $from)
+    AND ($to IS NULL OR d.date <= $to)
+    AND ($country IS NULL OR a.current_country = $country)
+  GROUP BY d.month_key
+  ORDER BY month DESC;
+`;
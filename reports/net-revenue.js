@@ -0,0 +1,36 @@
+import { CURRENCY_PARAM, FX_FACTORS, fxJoin } from '../lib/fx.js';
+
+export const title = 'Monthly Net Revenue After Refunds and Chargebacks';
+
+export const description = 'Completed charges minus refunds and chargebacks, by payment month';
+
+export const params = {
+  from: { type: 'date' },
+  to: { type: 'date' },
+  currency: CURRENCY_PARAM,
+};
+
+export const sql = (dialect) => `
+  WITH ${FX_FACTORS}
+  SELECT
+    ${dialect.month('pay.payment_date')} AS month,
+    ROUND(SUM(CASE WHEN pay.payment_type = 'Charge' THEN pay.amount * fx.factor ELSE 0 END), 2)
+      AS collected,
+    ROUND(SUM(CASE WHEN pay.payment_type = 'Refund' THEN pay.amount * fx.factor ELSE 0 END), 2)
+      AS refunded,
+    ROUND(
+      SUM(CASE WHEN pay.payment_type = 'Chargeback' THEN pay.amount * fx.factor ELSE 0 END),
+      2
+    ) AS charged_back,
+    ROUND(
+      SUM(CASE WHEN pay.payment_type = 'Charge' THEN pay.amount ELSE -pay.amount END * fx.factor),
+      2
+    ) AS net_revenue
+  FROM payments pay
+  ${fxJoin('fx', 'pay.currency', 'pay.payment_date')}
+  WHERE pay.payment_status = 'Completed'
+    AND ($from IS NULL OR pay.payment_date >= $from)
+    AND ($to IS NULL OR SUBSTR(pay.payment_date, 1, 10) <= $to)
+  GROUP BY month
+  ORDER BY month DESC;
+`;
@@ -0,0 +1,24 @@
+import { ORDER_BALANCES, listDiscrepancies } from '../lib/reconciliation.js';
+
+export const title = 'Order Reconciliation Discrepancies';
+
+export const description =
+  'Orders whose total disagrees with their line items or completed payments by more than the tolerance';
+
+export const params = {
+  from: { type: 'date' },
+  to: { type: 'date' },
+  tolerance: { type: 'number', default: 0.01, min: 0 },
+  limit: { type: 'integer', default: 100, min: 1 },
+};
+
+export const sql = `
+  WITH ${ORDER_BALANCES}
+  SELECT *
+  FROM order_checks
+  WHERE items_mismatch = 1 OR payment_mismatch = 1 OR over_reversed = 1
+  ORDER BY order_date DESC, order_id DESC
+  LIMIT $limit;
+`;
+
+export const transform = listDiscrepancies;
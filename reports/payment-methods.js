@@ -0,0 +1,55 @@
+import { CURRENCY_PARAM, FX_FACTORS, fxJoin } from '../lib/fx.js';
+
+export const title = 'Payment Success by Method';
+
+export const description =
+  'Charge attempts per payment method split by status, with the success rate and gross versus collected revenue';
+
+export const params = {
+  from: { type: 'date' },
+  to: { type: 'date' },
+  currency: CURRENCY_PARAM,
+};
+
+// Gross counts each order once, under the method of its last charge attempt,
+// so retried payments do not inflate it; success_rate_pct is per attempt.
+export const sql = `
+  WITH ${FX_FACTORS}
+  SELECT
+    c.payment_method,
+    COUNT(*) AS attempts,
+    SUM(CASE WHEN c.payment_status = 'Completed' THEN 1 ELSE 0 END) AS completed,
+    SUM(CASE WHEN c.payment_status = 'Failed' THEN 1 ELSE 0 END) AS failed,
+    SUM(CASE WHEN c.payment_status = 'Pending' THEN 1 ELSE 0 END) AS pending,
+    ROUND(100.0 * SUM(CASE WHEN c.payment_status = 'Completed' THEN 1 ELSE 0 END) / COUNT(*), 1)
+      AS success_rate_pct,
+    ROUND(SUM(CASE WHEN retried.parent_payment_id IS NULL THEN c.amount * fx.factor ELSE 0 END), 2)
+      AS gross,
+    ROUND(SUM(CASE WHEN c.payment_status = 'Completed' THEN c.amount * fx.factor ELSE 0 END), 2)
+      AS collected,
+    ROUND(SUM(COALESCE(r.reversed, 0)), 2) AS reversed,
+    ROUND(
+      SUM(CASE WHEN c.payment_status = 'Completed' THEN c.amount * fx.factor ELSE 0 END)
+        - SUM(COALESCE(r.reversed, 0)),
+      2
+    ) AS net_collected
+  FROM payments c
+  LEFT JOIN (
+    SELECT rev.parent_payment_id, SUM(rev.amount * rev_fx.factor) AS reversed
+    FROM payments rev
+    ${fxJoin('rev_fx', 'rev.currency', 'rev.payment_date')}
+    WHERE rev.payment_type <> 'Charge' AND rev.payment_status = 'Completed'
+    GROUP BY rev.parent_payment_id
+  ) r ON r.parent_payment_id = c.payment_id
+  LEFT JOIN (
+    SELECT DISTINCT parent_payment_id
+    FROM payments
+    WHERE payment_type = 'Charge' AND parent_payment_id IS NOT NULL
+  ) retried ON retried.parent_payment_id = c.payment_id
+  ${fxJoin('fx', 'c.currency', 'c.payment_date')}
+  WHERE c.payment_type = 'Charge'
+    AND ($from IS NULL OR c.payment_date >= $from)
+    AND ($to IS NULL OR SUBSTR(c.payment_date, 1, 10) <= $to)
+  GROUP BY c.payment_method
+  ORDER BY attempts DESC;
+`;
@@ -0,0 +1,53 @@
+import { AS_OF_PARAM, asOf } from '../lib/as-of.js';
+import { BASE_CURRENCY } from '../lib/currencies.js';
+import { CURRENCY_PARAM, FX_FACTORS, fxJoin } from '../lib/fx.js';
+
+export const title = 'Most Popular Products by Quantity Sold';
+
+export const description = 'Products ranked by units sold, with the revenue they brought in';
+
+export const warehouse = true;
+
+export const params = {
+  from: { type: 'date' },
+  to: { type: 'date' },
+  country: { type: 'string' },
+  category: { type: 'string' },
+  currency: CURRENCY_PARAM,
+  as_of: AS_OF_PARAM,
+  limit: { type: 'integer', default: 10, min: 1 },
+};
+
+// With --as-of order a product moved to another category is listed once for
+// each category it sold in.
+export const sql = `
+  WITH ${FX_FACTORS},
+  sales AS (
+    SELECT
+      dp.product_id,
+      dp.current_product_name AS product_name,
+      ${asOf('dp.category', 'dp.current_category')} AS category,
+      ${asOf('dc.country', 'dc.current_country')} AS country,
+      f.quantity,
+      f.net_amount_base * fx.factor AS revenue
+    FROM fact_sales f
+    INNER JOIN dim_product dp ON dp.product_key = f.product_key
+    INNER JOIN dim_customer dc ON dc.customer_key = f.customer_key
+    INNER JOIN dim_date d ON d.date_key = f.date_key
+    ${fxJoin('fx', `'${BASE_CURRENCY}'`, 'd.date')}
+    WHERE ($from IS NULL OR d.date >= $from)
+      AND ($to IS NULL OR d.date <= $to)
+  )
+  SELECT
+    product_id,
+    product_name,
+    category,
+    SUM(quantity) AS total_quantity_sold,
+    ROUND(SUM(revenue), 2) AS total_revenue
+  FROM sales
+  WHERE ($country IS NULL OR country = $country)
+    AND ($category IS NULL OR category = $category)
+  GROUP BY product_id, product_name, category
+  ORDER BY total_quantity_sold DESC
+  LIMIT $limit;
+`;
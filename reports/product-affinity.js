@@ -0,0 +1,29 @@
+export const title = 'Products Bought Together';
+
+export const description =
+  'Association rules between products (support, confidence, lift) from product_pairs';
+
+export const params = {
+  min_pair_orders: { type: 'integer', default: 2, min: 1 },
+  min_confidence: { type: 'number', default: 0, min: 0 },
+  limit: { type: 'integer', default: 20, min: 1 },
+};
+
+export const sql = `
+  SELECT
+    pp.product_id,
+    p.product_name,
+    pp.related_product_id,
+    r.product_name AS related_product_name,
+    pp.pair_orders,
+    ROUND(pp.support, 5) AS support,
+    ROUND(pp.confidence, 4) AS confidence,
+    ROUND(pp.lift, 3) AS lift
+  FROM product_pairs pp
+  INNER JOIN products p ON p.product_id = pp.product_id
+  INNER JOIN products r ON r.product_id = pp.related_product_id
+  WHERE pp.pair_orders >= $min_pair_orders
+    AND pp.confidence >= $min_confidence
+  ORDER BY pp.lift DESC, pp.pair_orders DESC, pp.product_id, pp.related_product_id
+  LIMIT $limit;
+`;
@@ -0,0 +1,55 @@
+import { CURRENCY_PARAM, FX_FACTORS, fxJoin } from '../lib/fx.js';
+import { DELIVERED_LINES } from '../lib/returns.js';
+
+export const title = 'Products With the Highest Return Rate';
+
+export const description =
+  'Products ranked by the share of delivered units that were returned, with their most common return reason';
+
+export const params = {
+  from: { type: 'date' },
+  to: { type: 'date' },
+  category: { type: 'string' },
+  min_units: { type: 'integer', default: 10, min: 1 },
+  currency: CURRENCY_PARAM,
+  limit: { type: 'integer', default: 20, min: 1 },
+};
+
+// Products with few delivered units are left out (min_units), since a single
+// return would put them at the top of the list.
+export const sql = `
+  WITH ${FX_FACTORS},
+  ${DELIVERED_LINES.trim()},
+  reason_counts AS (
+    SELECT oi.product_id, rt.return_reason AS reason, COUNT(*) AS returns
+    FROM returns rt
+    INNER JOIN order_items oi ON oi.order_item_id = rt.order_item_id
+    GROUP BY oi.product_id, rt.return_reason
+  ),
+  top_reasons AS (
+    SELECT
+      product_id,
+      reason,
+      ROW_NUMBER() OVER (PARTITION BY product_id ORDER BY returns DESC, reason) AS reason_rank
+    FROM reason_counts
+  )
+  SELECT
+    p.product_id,
+    p.product_name,
+    p.category,
+    SUM(d.quantity) AS delivered_units,
+    COALESCE(SUM(r.quantity), 0) AS returned_units,
+    ROUND(100.0 * COALESCE(SUM(r.quantity), 0) / SUM(d.quantity), 2) AS return_rate_pct,
+    ROUND(COALESCE(SUM(r.quantity * d.unit_price * fx.factor), 0), 2) AS returned_value,
+    tr.reason AS top_reason
+  FROM delivered_lines d
+  INNER JOIN products p ON p.product_id = d.product_id
+  LEFT JOIN returned_lines r ON r.order_item_id = d.order_item_id
+  LEFT JOIN top_reasons tr ON tr.product_id = p.product_id AND tr.reason_rank = 1
+  ${fxJoin('fx', 'd.currency', 'd.order_date')}
+  WHERE ($category IS NULL OR p.category = $category)
+  GROUP BY p.product_id, p.product_name, p.category, tr.reason
+  HAVING SUM(d.quantity) >= $min_units
+  ORDER BY return_rate_pct DESC, returned_units DESC
+  LIMIT $limit;
+`;
@@ -0,0 +1,105 @@
+import { BASE_CURRENCY } from '../lib/currencies.js';
+import { CURRENCY_PARAM, FX_FACTORS, fxJoin } from '../lib/fx.js';
+
+export const title = 'Promotion Effectiveness';
+
+export const description =
+  'Units, discounts and margin for each promotion, compared with the equally long period before it started';
+
+export const params = {
+  from: { type: 'date' },
+  to: { type: 'date' },
+  currency: CURRENCY_PARAM,
+};
+
+// A promotion covers its category, or the whole catalogue for coupons. Its
+// baseline is the same number of days just before it started, so uplift
+// compares units sold per day in scope during and before the promotion.
+// Margin is measured on the lines the promotion discounted against all lines
+// in scope during the baseline; product costs are kept in the base currency.
+export const sql = (dialect) => `
+  WITH ${FX_FACTORS},
+  lines AS (
+    SELECT
+      o.order_id,
+      o.coupon_id,
+      oi.promotion_id,
+      p.category,
+      SUBSTR(o.order_date, 1, 10) AS order_day,
+      oi.quantity,
+      oi.quantity * oi.unit_price * fx.factor AS revenue,
+      oi.quantity * oi.discount_amount * fx.factor AS discount,
+      oi.quantity * (oi.unit_price * fx.factor - p.unit_cost * cost_fx.factor) AS margin
+    FROM order_items oi
+    INNER JOIN orders o ON o.order_id = oi.order_id
+    INNER JOIN products p ON p.product_id = oi.product_id
+    ${fxJoin('fx', 'oi.currency', 'o.order_date')}
+    ${fxJoin('cost_fx', `'${BASE_CURRENCY}'`, 'o.order_date')}
+  ),
+  windows AS (
+    SELECT
+      promotion_id,
+      COALESCE(promotion_code, category) AS promotion,
+      promotion_type,
+      category,
+      starts_on,
+      ends_on,
+      CAST(ROUND(${dialect.daysBetween('starts_on', 'ends_on')}) AS INTEGER) + 1 AS days
+    FROM promotions
+    WHERE ($from IS NULL OR ends_on >= $from)
+      AND ($to IS NULL OR starts_on <= $to)
+  ),
+  scoped AS (
+    SELECT
+      w.promotion_id,
+      l.order_id,
+      l.quantity,
+      l.revenue,
+      l.discount,
+      l.margin,
+      CASE WHEN l.margin IS NULL THEN NULL ELSE l.revenue END AS costed_revenue,
+      CASE WHEN l.order_day >= w.starts_on THEN 1 ELSE 0 END AS in_window,
+      CASE
+        WHEN l.promotion_id = w.promotion_id OR l.coupon_id = w.promotion_id THEN 1
+        ELSE 0
+      END AS promoted
+    FROM windows w
+    INNER JOIN lines l
+      ON (w.category IS NULL OR l.category = w.category)
+      AND l.order_day >= ${dialect.addDays('w.starts_on', '-w.days')}
+      AND l.order_day <= w.ends_on
+  )
+  SELECT
+    w.promotion_id,
+    w.promotion,
+    w.promotion_type,
+    w.starts_on,
+    w.ends_on,
+    COUNT(DISTINCT CASE WHEN s.promoted = 1 THEN s.order_id END) AS promoted_orders,
+    COALESCE(SUM(CASE WHEN s.promoted = 1 THEN s.quantity END), 0) AS promoted_units,
+    ROUND(COALESCE(SUM(CASE WHEN s.promoted = 1 THEN s.discount END), 0), 2) AS discount_given,
+    ROUND(COALESCE(SUM(CASE WHEN s.promoted = 1 THEN s.revenue END), 0), 2) AS promoted_revenue,
+    ROUND(
+      100.0 * SUM(CASE WHEN s.promoted = 1 THEN s.margin END)
+        / SUM(CASE WHEN s.promoted = 1 THEN s.costed_revenue END),
+      2
+    ) AS promoted_margin_pct,
+    ROUND(
+      100.0 * SUM(CASE WHEN s.in_window = 0 THEN s.margin END)
+        / SUM(CASE WHEN s.in_window = 0 THEN s.costed_revenue END),
+      2
+    ) AS baseline_margin_pct,
+    ROUND(1.0 * COALESCE(SUM(CASE WHEN s.in_window = 1 THEN s.quantity END), 0) / w.days, 2)
+      AS units_per_day,
+    ROUND(1.0 * COALESCE(SUM(CASE WHEN s.in_window = 0 THEN s.quantity END), 0) / w.days, 2)
+      AS baseline_units_per_day,
+    ROUND(
+      100.0 * SUM(CASE WHEN s.in_window = 1 THEN s.quantity END)
+        / SUM(CASE WHEN s.in_window = 0 THEN s.quantity END) - 100,
+      2
+    ) AS unit_uplift_pct
+  FROM windows w
+  LEFT JOIN scoped s ON s.promotion_id = w.promotion_id
+  GROUP BY w.promotion_id, w.promotion, w.promotion_type, w.starts_on, w.ends_on, w.days
+  ORDER BY w.starts_on, w.promotion_id;
+`;
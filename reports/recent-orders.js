@@ -0,0 +1,40 @@
+export const title = 'Recent Orders With Details';
+
+export const description = 'Latest orders with their products and most recent charge status';
+
+export const params = {
+  from: { type: 'date' },
+  to: { type: 'date' },
+  country: { type: 'string' },
+  limit: { type: 'integer', default: 25, min: 1 },
+};
+
+export const sql = (dialect) => `
+  SELECT
+    c.name AS customer_name,
+    c.country,
+    COALESCE(seg.segment, 'Unscored') AS customer_segment,
+    ${dialect.date('o.order_date')} AS order_date,
+    ROUND(o.total_amount, 2) AS order_total_amount,
+    o.currency,
+    ${dialect.groupConcat("p.product_name || ' (qty: ' || oi.quantity || ')'", "'; '")} AS products_ordered,
+    COALESCE(pay.payment_status, 'Unknown') AS payment_status
+  FROM orders o
+  INNER JOIN customers c ON c.customer_id = o.customer_id
+  INNER JOIN order_items oi ON oi.order_id = o.order_id
+  INNER JOIN products p ON p.product_id = oi.product_id
+  LEFT JOIN customer_segments seg ON seg.customer_id = c.customer_id
+    AND seg.scored_at = (SELECT MAX(scored_at) FROM customer_segments)
+  LEFT JOIN payments pay ON pay.payment_id = (
+    SELECT MAX(latest.payment_id)
+    FROM payments latest
+    WHERE latest.order_id = o.order_id AND latest.payment_type = 'Charge'
+  )
+  WHERE ($from IS NULL OR o.order_date >= $from)
+    AND ($to IS NULL OR SUBSTR(o.order_date, 1, 10) <= $to)
+    AND ($country IS NULL OR c.country = $country)
+  GROUP BY o.order_id, c.name, c.country, seg.segment, o.order_date, o.total_amount,
+    o.currency, pay.payment_status
+  ORDER BY o.order_date DESC
+  LIMIT $limit;
+`;
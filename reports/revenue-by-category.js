@@ -0,0 +1,42 @@
+import { AS_OF_PARAM, asOf } from '../lib/as-of.js';
+import { BASE_CURRENCY } from '../lib/currencies.js';
+import { CURRENCY_PARAM, FX_FACTORS, fxJoin } from '../lib/fx.js';
+
+export const title = 'Revenue by Category';
+
+export const description = 'Units sold and line item revenue per product category';
+
+export const warehouse = true;
+
+export const params = {
+  from: { type: 'date' },
+  to: { type: 'date' },
+  country: { type: 'string' },
+  currency: CURRENCY_PARAM,
+  as_of: AS_OF_PARAM,
+};
+
+export const sql = `
+  WITH ${FX_FACTORS},
+  daily AS (
+    SELECT
+      ${asOf('a.category', 'a.current_category')} AS category,
+      a.units,
+      ${asOf('a.category_orders', 'a.current_category_orders')} AS orders,
+      a.revenue_base * fx.factor AS revenue
+    FROM agg_sales_daily a
+    INNER JOIN dim_date d ON d.date_key = a.date_key
+    ${fxJoin('fx', `'${BASE_CURRENCY}'`, 'd.date')}
+    WHERE ($from IS NULL OR d.date >= $from)
+      AND ($to IS NULL OR d.date <= $to)
+      AND ($country IS NULL OR ${asOf('a.country', 'a.current_country')} = $country)
+  )
+  SELECT
+    category,
+    SUM(units) AS units_sold,
+    SUM(orders) AS order_count,
+    ROUND(SUM(revenue), 2) AS revenue
+  FROM daily
+  GROUP BY category
+  ORDER BY revenue DESC;
+`;
@@ -0,0 +1,41 @@
+import { CURRENCY_PARAM, FX_FACTORS, fxJoin } from '../lib/fx.js';
+import { ORDER_BALANCES } from '../lib/reconciliation.js';
+
+export const title = 'Monthly Revenue Reconciliation';
+
+export const description =
+  'Booked, line item and collected amounts per order month, with outstanding orders and discrepancy counts';
+
+export const params = {
+  from: { type: 'date' },
+  to: { type: 'date' },
+  tolerance: { type: 'number', default: 0.01, min: 0 },
+  currency: CURRENCY_PARAM,
+};
+
+// Orders are checked in their own currency; the monthly sums are converted at
+// the order date's rate so that payments and refunds add up to the booked total.
+export const sql = (dialect) => `
+  WITH ${FX_FACTORS},
+  ${ORDER_BALANCES.trim()}
+  SELECT
+    ${dialect.month('order_date')} AS month,
+    COUNT(*) AS orders,
+    ROUND(SUM(total_amount * fx.factor), 2) AS booked,
+    ROUND(SUM(items_total * fx.factor), 2) AS line_items,
+    ROUND(SUM(charged * fx.factor), 2) AS collected,
+    ROUND(SUM(reversed * fx.factor), 2) AS reversed,
+    ROUND(SUM((charged - reversed) * fx.factor), 2) AS net_collected,
+    SUM(CASE WHEN completed_charges = 0 THEN 1 ELSE 0 END) AS outstanding_orders,
+    ROUND(SUM(CASE WHEN completed_charges = 0 THEN total_amount * fx.factor ELSE 0 END), 2)
+      AS outstanding_amount,
+    SUM(items_mismatch) AS item_mismatches,
+    SUM(payment_mismatch) AS payment_mismatches,
+    SUM(over_reversed) AS over_reversed,
+    SUM(CASE WHEN items_mismatch + payment_mismatch + over_reversed > 0 THEN 1 ELSE 0 END)
+      AS discrepant_orders
+  FROM order_checks checks
+  ${fxJoin('fx', 'checks.currency', 'checks.order_date')}
+  GROUP BY month
+  ORDER BY month DESC;
+`;
@@ -0,0 +1,30 @@
+export const title = 'Customer Segment Moves';
+
+export const description = 'Customers who changed segment between a scoring date and the one before it';
+
+export const params = {
+  date: { type: 'date' },
+};
+
+export const sql = `
+  WITH scorings AS (
+    SELECT
+      COALESCE($date, (SELECT MAX(scored_at) FROM customer_segments)) AS current_date_scored
+  )
+  SELECT
+    previous.scored_at AS from_date,
+    current.scored_at AS to_date,
+    previous.segment AS from_segment,
+    current.segment AS to_segment,
+    COUNT(*) AS customers
+  FROM scorings s
+  INNER JOIN customer_segments current ON current.scored_at = s.current_date_scored
+  INNER JOIN customer_segments previous
+    ON previous.customer_id = current.customer_id
+    AND previous.scored_at = (
+      SELECT MAX(scored_at) FROM customer_segments WHERE scored_at < s.current_date_scored
+    )
+  WHERE previous.segment <> current.segment
+  GROUP BY previous.scored_at, current.scored_at, previous.segment, current.segment
+  ORDER BY customers DESC, from_segment, to_segment;
+`;
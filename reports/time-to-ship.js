@@ -0,0 +1,32 @@
+export const title = 'Time to Ship and Deliver';
+
+export const description =
+  'Paid orders per order month with the share shipped, average days from order to shipment and days in transit';
+
+export const params = {
+  from: { type: 'date' },
+  to: { type: 'date' },
+  carrier: { type: 'string' },
+};
+
+// Only paid orders are expected to ship. With --carrier, orders still waiting
+// for a shipment are left out because they have no carrier yet.
+export const sql = (dialect) => `
+  SELECT
+    ${dialect.month('o.order_date')} AS month,
+    COUNT(*) AS paid_orders,
+    COUNT(s.shipment_id) AS shipped_orders,
+    COUNT(*) - COUNT(s.shipment_id) AS awaiting_shipment,
+    ROUND(AVG(${dialect.daysBetween('o.order_date', 's.shipped_at')}), 2) AS avg_days_to_ship,
+    ROUND(MAX(${dialect.daysBetween('o.order_date', 's.shipped_at')}), 2) AS max_days_to_ship,
+    COUNT(s.delivered_at) AS delivered_orders,
+    ROUND(AVG(${dialect.daysBetween('s.shipped_at', 's.delivered_at')}), 2) AS avg_days_in_transit
+  FROM orders o
+  INNER JOIN order_status_history paid ON paid.order_id = o.order_id AND paid.status = 'Paid'
+  LEFT JOIN shipments s ON s.order_id = o.order_id
+  WHERE ($from IS NULL OR o.order_date >= $from)
+    AND ($to IS NULL OR SUBSTR(o.order_date, 1, 10) <= $to)
+    AND ($carrier IS NULL OR s.carrier = $carrier)
+  GROUP BY month
+  ORDER BY month DESC;
+`;
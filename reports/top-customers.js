@@ -0,0 +1,46 @@
+import { CURRENCY_PARAM, FX_FACTORS, fxJoin } from '../lib/fx.js';
+
+export const title = 'Top Customers by Total Spending';
+
+export const description =
+  'Customers ranked by the total of their paid orders, with their latest RFM segment';
+
+export const params = {
+  from: { type: 'date' },
+  to: { type: 'date' },
+  country: { type: 'string' },
+  segment: { type: 'string' },
+  currency: CURRENCY_PARAM,
+  limit: { type: 'integer', default: 10, min: 1 },
+};
+
+// Only orders with a completed charge count towards a customer's spending.
+export const sql = `
+  WITH ${FX_FACTORS}
+  SELECT
+    c.customer_id,
+    c.name AS customer_name,
+    c.country,
+    COALESCE(seg.segment, 'Unscored') AS segment,
+    ROUND(SUM(o.total_amount * fx.factor), 2) AS total_spent,
+    COUNT(DISTINCT o.order_id) AS order_count
+  FROM customers c
+  INNER JOIN orders o ON o.customer_id = c.customer_id
+  ${fxJoin('fx', 'o.currency', 'o.order_date')}
+  LEFT JOIN customer_segments seg ON seg.customer_id = c.customer_id
+    AND seg.scored_at = (SELECT MAX(scored_at) FROM customer_segments)
+  WHERE ($from IS NULL OR o.order_date >= $from)
+    AND ($to IS NULL OR SUBSTR(o.order_date, 1, 10) <= $to)
+    AND ($country IS NULL OR c.country = $country)
+    AND ($segment IS NULL OR seg.segment = $segment)
+    AND EXISTS (
+      SELECT 1
+      FROM payments pay
+      WHERE pay.order_id = o.order_id
+        AND pay.payment_type = 'Charge'
+        AND pay.payment_status = 'Completed'
+    )
+  GROUP BY c.customer_id, c.name, c.country, seg.segment
+  ORDER BY total_spent DESC
+  LIMIT $limit;
+`;
@@ -1,143 +1,176 @@
+import { mkdir, writeFile } from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import sqlite3 from 'sqlite3';
+import { isMain, parseArgs } from './lib/cli.js';
+import { getDatabaseConfig, openDatabase } from './lib/db/index.js';
+import { assertSchemaCurrent } from './lib/migrations.js';
+import { REPORT_FORMATS, printTable } from './lib/report-formats.js';
+import {
+  PARAM_TYPES,
+  collectParams,
+  describeParams,
+  hasRequiredParams,
+  loadReports,
+  resolveParams,
+  runReport,
+  toOptionName,
+} from './lib/reports.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-const DB_PATH = path.join(__dirname, 'ecommerce.db');
+const DEFAULT_OUT_DIR = path.join(__dirname, 'reports-output');
+const FORMATS = ['table', ...Object.keys(REPORT_FORMATS)];
+
+// Writes one file per report plus a manifest.json describing the run, so
+// downstream tools can find the files and check row counts without parsing them.
+const writeReports = async (results, { format, outDir, client }) => {
+  const { extension, render } = REPORT_FORMATS[format];
+  await mkdir(outDir, { recursive: true });
+
+  const manifest = {
+    generatedAt: new Date().toISOString(),
+    format,
+    client,
+    reports: [],
+  };
+
+  for (const { report, params, rows } of results) {
+    const fileName = `${report.name}.${extension}`;
+    await writeFile(path.join(outDir, fileName), render(report, rows), 'utf8');
+    manifest.reports.push({
+      name: report.name,
+      title: report.title,
+      params,
+      file: fileName,
+      rowCount: rows.length,
+    });
+  }
 
-const sqlite = sqlite3.verbose();
+  const manifestPath = path.join(outDir, 'manifest.json');
+  await writeFile(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`, 'utf8');
+  return manifestPath;
+};
 
-const openDatabase = (filePath) =>
-  new Promise((resolve, reject) => {
-    const db = new sqlite.Database(filePath, (error) => {
-      if (error) {
-        reject(error);
-      } else {
-        resolve(db);
-      }
-    });
-  });
+const printReportList = (reports) => {
+  console.table(
+    reports.map((report) => ({
+      report: report.name,
+      title: report.title,
+      description: report.description,
+      parameters: describeParams(report),
+    }))
+  );
+};
 
-const closeDatabase = (db) =>
-  new Promise((resolve, reject) => {
-    db.close((error) => {
-      if (error) {
-        reject(error);
-      } else {
-        resolve();
-      }
-    });
+// Report parameters become command line options; a parameter is passed to
+// every selected report that declares it.
+const parseOptions = (argv, reports) => {
+  const reportParams = collectParams(reports);
+  const { options } = parseArgs(argv, {
+    format: { type: 'string', default: 'table' },
+    out: { type: 'string' },
+    report: { type: 'string' },
+    list: { type: 'boolean' },
+    ...Object.fromEntries(
+      Object.entries(reportParams).map(([name, definition]) => [
+        toOptionName(name),
+        { type: PARAM_TYPES[definition.type].cliType },
+      ])
+    ),
   });
 
-const runAll = (db, sql, params = []) =>
-  new Promise((resolve, reject) => {
-    db.all(sql, params, (error, rows) => {
-      if (error) {
-        reject(error);
-      } else {
-        resolve(rows);
-      }
-    });
-  });
+  if (!FORMATS.includes(options.format)) {
+    throw new Error(`Unknown --format "${options.format}". Use one of: ${FORMATS.join(', ')}`);
+  }
+  if (options.format === 'table' && options.out !== undefined) {
+    throw new Error('--out needs a file --format (json, csv, markdown or html)');
+  }
+
+  let selected = reports;
+  if (options.report !== undefined) {
+    selected = reports.filter((report) => report.name === options.report);
+    if (!selected.length) {
+      throw new Error(`Unknown report "${options.report}". Run with --list to see the reports`);
+    }
+  }
+
+  const paramValues = Object.fromEntries(
+    Object.keys(reportParams)
+      .filter((name) => options[toOptionName(name)] !== undefined)
+      .map((name) => [name, options[toOptionName(name)]])
+  );
+  for (const name of Object.keys(paramValues)) {
+    if (!selected.some((report) => name in report.params)) {
+      const option = `--${toOptionName(name)}`;
+      throw new Error(
+        options.report === undefined
+          ? `No report takes a ${option} parameter`
+          : `Report ${options.report} does not take a ${option} parameter`
+      );
+    }
+  }
 
-const printTable = (title, rows) => {
-  console.log(`\n=== ${title} ===`);
-  if (!rows.length) {
-    console.log('No results.');
-    return;
+  // Without --report, lookups that need a parameter (such as also-bought's
+  // --product) only run when it was given.
+  if (options.report === undefined && !options.list) {
+    selected = selected.filter((report) => hasRequiredParams(report, paramValues));
   }
-  console.table(rows);
+
+  return {
+    list: options.list,
+    format: options.format,
+    outDir: path.resolve(options.out ?? DEFAULT_OUT_DIR),
+    reports: selected,
+    paramValues,
+  };
 };
 
-const main = async () => {
+export const runQueries = async (argv = []) => {
   let db;
 
   try {
-    console.log('Connecting to ecommerce database...');
-    db = await openDatabase(DB_PATH);
-    await runAll(db, 'PRAGMA foreign_keys = ON;');
-
-    const detailedOrdersQuery = `
-      SELECT
-        c.name AS customer_name,
-        c.country,
-        DATE(o.order_date) AS order_date,
-        ROUND(o.total_amount, 2) AS order_total_amount,
-        GROUP_CONCAT(
-          p.product_name || ' (qty: ' || oi.quantity || ')',
-          '; '
-        ) AS products_ordered,
-        COALESCE(pay.payment_status, 'Unknown') AS payment_status
-      FROM orders o
-      INNER JOIN customers c ON c.customer_id = o.customer_id
-      INNER JOIN order_items oi ON oi.order_id = o.order_id
-      INNER JOIN products p ON p.product_id = oi.product_id
-      LEFT JOIN payments pay ON pay.order_id = o.order_id
-      GROUP BY o.order_id, c.customer_id, pay.payment_status
-      ORDER BY o.order_date DESC
-      LIMIT 25;
-    `;
-
-    const topCustomersQuery = `
-      SELECT
-        c.customer_id,
-        c.name AS customer_name,
-        c.country,
-        ROUND(SUM(o.total_amount), 2) AS total_spent,
-        COUNT(DISTINCT o.order_id) AS order_count
-      FROM customers c
-      INNER JOIN orders o ON o.customer_id = c.customer_id
-      GROUP BY c.customer_id
-      ORDER BY total_spent DESC
-      LIMIT 10;
-    `;
-
-    const popularProductsQuery = `
-      SELECT
-        p.product_id,
-        p.product_name,
-        p.category,
-        SUM(oi.quantity) AS total_quantity_sold,
-        ROUND(SUM(oi.quantity * oi.unit_price), 2) AS total_revenue
-      FROM products p
-      INNER JOIN order_items oi ON oi.product_id = p.product_id
-      GROUP BY p.product_id
-      ORDER BY total_quantity_sold DESC
-      LIMIT 10;
-    `;
-
-    const monthlyRevenueQuery = `
-      SELECT
-        STRFTIME('%Y-%m', order_date) AS month,
-        ROUND(SUM(total_amount), 2) AS total_revenue,
-        COUNT(*) AS total_orders
-      FROM orders
-      GROUP BY month
-      ORDER BY month DESC;
-    `;
+    const options = parseOptions(argv, await loadReports());
+
+    if (options.list) {
+      printReportList(options.reports);
+      return;
+    }
+
+    const resolved = options.reports.map((report) => ({
+      report,
+      params: resolveParams(report, options.paramValues),
+    }));
+
+    const config = getDatabaseConfig();
+    console.log(`Connecting to ecommerce database (${config.client})...`);
+    db = await openDatabase(config);
+    await assertSchemaCurrent(db);
 
     console.log('Running analytics queries...');
-    const [detailedOrders, topCustomers, popularProducts, monthlyRevenue] = await Promise.all([
-      runAll(db, detailedOrdersQuery),
-      runAll(db, topCustomersQuery),
-      runAll(db, popularProductsQuery),
-      runAll(db, monthlyRevenueQuery),
-    ]);
-
-    printTable('Recent Orders With Details', detailedOrders);
-    printTable('Top 10 Customers by Total Spending', topCustomers);
-    printTable('Most Popular Products by Quantity Sold', popularProducts);
-    printTable('Monthly Sales Revenue', monthlyRevenue);
+    const results = await Promise.all(
+      resolved.map(async ({ report, params }) => ({
+        report,
+        params,
+        rows: await runReport(db, report, params),
+      }))
+    );
+
+    if (options.format === 'table') {
+      for (const { report, rows } of results) {
+        printTable(report.title, rows);
+      }
+    } else {
+      const manifestPath = await writeReports(results, { ...options, client: config.client });
+      console.log(
+        `Wrote ${results.length} ${options.format} reports to ${options.outDir} (manifest: ${manifestPath}).`
+      );
+    }
 
     console.log('\nFinished executing analytics queries.');
-  } catch (error) {
-    console.error('Failed to run analytics queries:', error);
-    process.exitCode = 1;
   } finally {
     if (db) {
       try {
-        await closeDatabase(db);
+        await db.close();
         console.log('Closed database connection.');
       } catch (error) {
         console.error('Error closing database connection:', error);
@@ -146,5 +179,15 @@ const main = async () => {
   }
 };
 
-main();
+const main = async () => {
+  try {
+    await runQueries(process.argv.slice(2));
+  } catch (error) {
+    console.error('Failed to run analytics queries:', error);
+    process.exitCode = 1;
+  }
+};
 
+if (isMain(import.meta.url)) {
+  main();
+}
@@ -0,0 +1,144 @@
+import { isMain, parseArgs } from './lib/cli.js';
+import { getDatabaseConfig, openDatabase } from './lib/db/index.js';
+import { migrateUp } from './lib/migrations.js';
+import { scoreCustomers } from './lib/rfm.js';
+import { isIsoDate } from './lib/validation.js';
+
+const MAX_MOVES_SHOWN = 15;
+const SEGMENT_COLUMNS = [
+  'customer_id',
+  'scored_at',
+  'last_order_date',
+  'recency_days',
+  'frequency',
+  'monetary',
+  'r_score',
+  'f_score',
+  'm_score',
+  'segment',
+];
+
+const parseOptions = (argv) => {
+  const { options } = parseArgs(argv, {
+    date: { type: 'string', default: new Date().toISOString().slice(0, 10) },
+  });
+
+  if (!isIsoDate(options.date)) {
+    throw new Error(`--date must be a date in YYYY-MM-DD format, got "${options.date}"`);
+  }
+
+  return { scoredAt: options.date };
+};
+
+// Only orders placed on or before the scoring date count, so rescoring a past
+// date reproduces the segments customers had back then, and only orders with a
+// completed charge, so failed or pending orders do not raise a customer's
+// scores. Monetary value is converted to the base currency at each order
+// date's rate so that customers paying in different currencies are ranked
+// against each other.
+const loadCustomerActivity = (db, scoredAt) =>
+  db.all(
+    `SELECT
+      c.customer_id,
+      MAX(o.order_date) AS last_order_date,
+      COUNT(o.order_id) AS frequency,
+      COALESCE(SUM(o.total_amount / fx.rate), 0) AS monetary
+    FROM customers c
+    LEFT JOIN orders o ON o.customer_id = c.customer_id
+      AND SUBSTR(o.order_date, 1, 10) <= ?
+      AND EXISTS (
+        SELECT 1
+        FROM payments pay
+        WHERE pay.order_id = o.order_id
+          AND pay.payment_type = 'Charge'
+          AND pay.payment_status = 'Completed'
+      )
+    LEFT JOIN fx_rates fx ON fx.currency = o.currency
+      AND fx.rate_date = SUBSTR(o.order_date, 1, 10)
+    GROUP BY c.customer_id
+    ORDER BY c.customer_id`,
+    [scoredAt]
+  );
+
+const summarizeMoves = (db, scoredAt) =>
+  db.all(
+    `SELECT
+      previous.segment AS from_segment,
+      current.segment AS to_segment,
+      COUNT(*) AS customers
+    FROM customer_segments current
+    INNER JOIN customer_segments previous
+      ON previous.customer_id = current.customer_id
+      AND previous.scored_at = (
+        SELECT MAX(scored_at) FROM customer_segments WHERE scored_at < ?
+      )
+    WHERE current.scored_at = ? AND previous.segment <> current.segment
+    GROUP BY previous.segment, current.segment
+    ORDER BY customers DESC`,
+    [scoredAt, scoredAt]
+  );
+
+export const segmentCustomers = async (argv = []) => {
+  let db;
+
+  try {
+    const { scoredAt } = parseOptions(argv);
+    const config = getDatabaseConfig();
+    db = await openDatabase(config);
+    await migrateUp(db);
+
+    console.log(`Scoring customers on recency, frequency and monetary value as of ${scoredAt}...`);
+    const segments = scoreCustomers(await loadCustomerActivity(db, scoredAt), scoredAt);
+
+    // Rescoring the same date replaces that date's rows through the upsert.
+    const written = await db.bulkInsert({
+      tableName: 'customer_segments',
+      columns: SEGMENT_COLUMNS,
+      primaryKey: ['customer_id', 'scored_at'],
+      rows: segments,
+    });
+    console.log(`Wrote ${written} customer segments for ${scoredAt}.`);
+
+    const counts = new Map();
+    for (const { segment } of segments) {
+      counts.set(segment, (counts.get(segment) ?? 0) + 1);
+    }
+    console.table(
+      [...counts]
+        .sort((a, b) => b[1] - a[1])
+        .map(([segment, customers]) => ({ segment, customers }))
+    );
+
+    const moves = await summarizeMoves(db, scoredAt);
+    if (moves.length) {
+      console.log('Largest segment moves since the previous scoring:');
+      console.table(moves.slice(0, MAX_MOVES_SHOWN));
+      if (moves.length > MAX_MOVES_SHOWN) {
+        console.log(
+          `${moves.length - MAX_MOVES_SHOWN} smaller moves not shown; run the segment-moves report for all of them.`
+        );
+      }
+    }
+  } finally {
+    if (db) {
+      try {
+        await db.close();
+      } catch (error) {
+        console.error('Error closing database connection:', error);
+      }
+    }
+  }
+};
+
+const main = async () => {
+  try {
+    await segmentCustomers(process.argv.slice(2));
+  } catch (error) {
+    console.error('Failed to segment customers:', error);
+    process.exitCode = 1;
+  }
+};
+
+if (isMain(import.meta.url)) {
+  main();
+}
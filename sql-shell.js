@@ -0,0 +1,463 @@
+import { readFile, writeFile } from 'fs/promises';
+import path from 'path';
+import readline from 'readline';
+import { fileURLToPath } from 'url';
+import { isMain, parseArgs } from './lib/cli.js';
+import { getDatabaseConfig, openDatabase } from './lib/db/index.js';
+import { assertSchemaCurrent } from './lib/migrations.js';
+import { REPORT_FORMATS, printTable } from './lib/report-formats.js';
+import {
+  PARAM_TYPES,
+  describeParams,
+  loadReports,
+  resolveParams,
+  runReport,
+  toOptionName,
+} from './lib/reports.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const SAVED_QUERIES_PATH = path.join(__dirname, 'saved-queries.json');
+const OUTPUT_FORMATS = ['table', 'csv', 'json'];
+const PROMPT = 'sql> ';
+const CONTINUATION_PROMPT = '...> ';
+const SQL_KEYWORDS = [
+  'SELECT',
+  'FROM',
+  'WHERE',
+  'GROUP BY',
+  'ORDER BY',
+  'HAVING',
+  'LIMIT',
+  'JOIN',
+  'LEFT JOIN',
+  'INNER JOIN',
+  'ON',
+  'AND',
+  'OR',
+  'NOT',
+  'IN',
+  'IS NULL',
+  'AS',
+  'DISTINCT',
+  'COUNT',
+  'SUM',
+  'AVG',
+  'MIN',
+  'MAX',
+  'ROUND',
+  'CASE',
+  'WHEN',
+  'THEN',
+  'ELSE',
+  'END',
+  'WITH',
+  'DESC',
+  'ASC',
+];
+
+const META_COMMANDS = {
+  '.help': 'Show this help',
+  '.tables': 'List the tables',
+  '.schema [table]': 'Show CREATE statements for all tables or one table',
+  '.reports': 'List the reports in reports/',
+  '.report <name> [--param value ...]': 'Run a report with optional parameters',
+  '.explain <sql>': 'Show the query plan for a statement',
+  '.save <name> [sql]': 'Save the given statement, or the last one, as a named query',
+  '.run <name>': 'Run a saved query',
+  '.queries': 'List the saved queries',
+  '.forget <name>': 'Delete a saved query',
+  '.export <file>': 'Write the last result to a .csv, .json, .md or .html file',
+  '.timer on|off': 'Show or hide query timing (on by default)',
+  '.quit': 'Leave the shell',
+};
+const META_NAMES = [...Object.keys(META_COMMANDS).map((usage) => usage.split(' ')[0]), '.exit'];
+
+const parseOptions = (argv) => {
+  const { options, positionals } = parseArgs(argv, {
+    format: { type: 'string' },
+    out: { type: 'string' },
+    write: { type: 'boolean' },
+  });
+
+  if (options.format !== undefined && !OUTPUT_FORMATS.includes(options.format)) {
+    throw new Error(`Unknown --format "${options.format}". Use one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+  if (options.out !== undefined && !positionals.length) {
+    throw new Error('--out needs a query; use .export inside the shell instead');
+  }
+  // The extension of --out picks the file format, so a --format that
+  // disagrees with it would be silently ignored.
+  if (
+    options.out !== undefined &&
+    options.format !== undefined &&
+    REPORT_FORMATS[options.format] !== formatForFile(options.out)
+  ) {
+    throw new Error(
+      `--format ${options.format} does not match --out "${options.out}"; the file extension sets the format`
+    );
+  }
+
+  return {
+    query: positionals.length ? positionals.join(' ') : null,
+    format: options.format ?? 'table',
+    out: options.out,
+    write: options.write,
+  };
+};
+
+// Null-prototype object, so names such as constructor or __proto__ are plain query names.
+const loadSavedQueries = async () => {
+  const queries = Object.create(null);
+  try {
+    return Object.assign(queries, JSON.parse(await readFile(SAVED_QUERIES_PATH, 'utf8')));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return queries;
+    }
+    throw error;
+  }
+};
+
+const storeSavedQueries = (queries) =>
+  writeFile(SAVED_QUERIES_PATH, `${JSON.stringify(queries, null, 2)}\n`, 'utf8');
+
+const formatForFile = (filePath) => {
+  const extension = path.extname(filePath).slice(1);
+  const entry = Object.values(REPORT_FORMATS).find((format) => format.extension === extension);
+  if (!entry) {
+    throw new Error(
+      `Cannot export to "${filePath}": use one of ${Object.values(REPORT_FORMATS)
+        .map((format) => `.${format.extension}`)
+        .join(', ')}`
+    );
+  }
+  return entry;
+};
+
+// Splits meta-command arguments on whitespace, keeping "double quoted" values
+// together so report parameters such as --country "United States" work.
+const tokenize = (text) =>
+  [...text.matchAll(/"([^"]*)"|(\S+)/g)].map(([, quoted, plain]) => quoted ?? plain);
+
+const printPlan = (db, rows) => {
+  if (db.dialect.name !== 'sqlite') {
+    for (const row of rows) {
+      console.log(row.explain_value ?? Object.values(row).join('\n'));
+    }
+    return;
+  }
+
+  // SQLite returns the plan as (id, parent, detail) rows; indent each step
+  // under its parent the way the sqlite3 command line tool does.
+  const depth = new Map([[0, -1]]);
+  console.log('QUERY PLAN');
+  for (const row of rows) {
+    const level = (depth.get(row.parent) ?? -1) + 1;
+    depth.set(row.id, level);
+    console.log(`${'  '.repeat(level)}|--${row.detail}`);
+  }
+};
+
+const createCompleter = (state) => (line) => {
+  const word = line.match(/[\w.]*$/)[0];
+  const command = line.trimStart().split(/\s+/)[0];
+  let candidates;
+
+  if (line.startsWith('.') && !/\s/.test(line)) {
+    return [META_NAMES.filter((name) => name.startsWith(line)), line];
+  }
+  if (['.run', '.save', '.forget'].includes(command)) {
+    candidates = Object.keys(state.savedQueries);
+  } else if (command === '.report') {
+    candidates = state.reports.map((report) => report.name);
+  } else if (command === '.schema') {
+    candidates = state.tables.map((table) => table.name);
+  } else if (word.includes('.')) {
+    const [tableName] = word.split('.');
+    const table = state.tables.find((candidate) => candidate.name === tableName);
+    candidates = table ? table.columns.map((column) => `${tableName}.${column.name}`) : [];
+  } else {
+    candidates = [
+      ...SQL_KEYWORDS,
+      ...state.tables.map((table) => table.name),
+      ...new Set(state.tables.flatMap((table) => table.columns.map((column) => column.name))),
+    ];
+  }
+
+  const lowerWord = word.toLowerCase();
+  return [candidates.filter((candidate) => candidate.toLowerCase().startsWith(lowerWord)), word];
+};
+
+const showResult = async (state, title, query) => {
+  const startedAt = process.hrtime.bigint();
+  const rows = await query();
+  const elapsedMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+
+  state.lastResult = { title: title ?? 'Query result', rows };
+  printTable(title, rows);
+  if (state.timer) {
+    console.log(`(${rows.length} ${rows.length === 1 ? 'row' : 'rows'} in ${elapsedMs.toFixed(1)} ms)`);
+  }
+};
+
+const runQuery = async (state, sql, title = null) => {
+  state.lastQuery = sql;
+  await showResult(state, title, () => state.db.all(sql));
+};
+
+const runReportCommand = async (state, args) => {
+  const [name, ...tokens] = tokenize(args);
+  const report = state.reports.find((candidate) => candidate.name === name);
+  if (!report) {
+    throw new Error(`Unknown report "${name ?? ''}". Use .reports to list them`);
+  }
+
+  const { options } = parseArgs(
+    tokens,
+    Object.fromEntries(
+      Object.entries(report.params).map(([param, definition]) => [
+        toOptionName(param),
+        { type: PARAM_TYPES[definition.type].cliType },
+      ])
+    )
+  );
+  const params = resolveParams(
+    report,
+    Object.fromEntries(
+      Object.keys(report.params).map((param) => [param, options[toOptionName(param)]])
+    )
+  );
+
+  await showResult(state, report.title, () => runReport(state.db, report, params));
+};
+
+const printSchema = (state, tableName) => {
+  const tables = tableName
+    ? state.tables.filter((table) => table.name === tableName)
+    : state.tables;
+  if (tableName && !tables.length) {
+    throw new Error(`No table named "${tableName}"`);
+  }
+
+  for (const table of tables) {
+    console.log(table.sql.trim().replace(/;?$/, ';'));
+    for (const index of table.indexes) {
+      console.log(index.sql.trim().replace(/;?$/, ';'));
+    }
+  }
+};
+
+const META_HANDLERS = {
+  '.help': () => {
+    console.table(
+      Object.entries(META_COMMANDS).map(([command, description]) => ({ command, description }))
+    );
+    console.log('Anything else is SQL and runs once it ends with a semicolon.');
+  },
+  '.tables': (state) => {
+    console.log(state.tables.map((table) => table.name).join('  '));
+  },
+  '.schema': (state, args) => printSchema(state, args || null),
+  '.reports': (state) => {
+    console.table(
+      state.reports.map((report) => ({
+        report: report.name,
+        title: report.title,
+        parameters: describeParams(report),
+      }))
+    );
+  },
+  '.report': runReportCommand,
+  '.explain': async (state, args) => {
+    if (!args) {
+      throw new Error('Usage: .explain <sql>');
+    }
+    printPlan(state.db, await state.db.all(state.db.dialect.explain(args.replace(/;\s*$/, ''))));
+  },
+  '.save': async (state, args) => {
+    const [, name, sql] = args.match(/^(\S+)\s*(.*)$/s) ?? [];
+    const query = sql || state.lastQuery;
+    if (!name || !query) {
+      throw new Error('Usage: .save <name> [sql] (without sql, the last query is saved)');
+    }
+    state.savedQueries[name] = query.trim();
+    await storeSavedQueries(state.savedQueries);
+    console.log(`Saved query "${name}".`);
+  },
+  '.run': async (state, args) => {
+    if (!Object.hasOwn(state.savedQueries, args)) {
+      throw new Error(`No saved query named "${args}". Use .queries to list them`);
+    }
+    await runQuery(state, state.savedQueries[args], args);
+  },
+  '.queries': (state) => {
+    printTable(
+      null,
+      Object.entries(state.savedQueries).map(([name, sql]) => ({ name, sql }))
+    );
+  },
+  '.forget': async (state, args) => {
+    if (!Object.hasOwn(state.savedQueries, args)) {
+      throw new Error(`No saved query named "${args}"`);
+    }
+    delete state.savedQueries[args];
+    await storeSavedQueries(state.savedQueries);
+    console.log(`Deleted saved query "${args}".`);
+  },
+  '.export': async (state, args) => {
+    if (!args) {
+      throw new Error('Usage: .export <file>');
+    }
+    if (!state.lastResult) {
+      throw new Error('Nothing to export yet; run a query first');
+    }
+    const { render } = formatForFile(args);
+    const filePath = path.resolve(args);
+    await writeFile(
+      filePath,
+      render({ name: path.parse(filePath).name, title: state.lastResult.title }, state.lastResult.rows),
+      'utf8'
+    );
+    console.log(`Wrote ${state.lastResult.rows.length} rows to ${filePath}.`);
+  },
+  '.timer': (state, args) => {
+    if (!['on', 'off'].includes(args)) {
+      throw new Error('Usage: .timer on|off');
+    }
+    state.timer = args === 'on';
+  },
+};
+
+const runMetaCommand = async (state, line) => {
+  const [, command, args] = line.match(/^(\.\S+)\s*(.*)$/s);
+  const handler = META_HANDLERS[command];
+  if (!handler) {
+    throw new Error(`Unknown command ${command}. Use .help to list the commands`);
+  }
+  await handler(state, args.trim());
+};
+
+const runInteractive = async (state) => {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    completer: createCompleter(state),
+  });
+  let buffer = '';
+
+  rl.on('SIGINT', () => {
+    if (!buffer) {
+      rl.close();
+      return;
+    }
+    buffer = '';
+    process.stdout.write('\n');
+    rl.setPrompt(PROMPT);
+    rl.prompt();
+  });
+
+  console.log('Enter SQL ending with ";" or .help for commands. Press Tab to complete names.');
+  rl.setPrompt(PROMPT);
+  rl.prompt();
+
+  for await (const line of rl) {
+    const trimmed = line.trim();
+
+    if (!buffer && ['.quit', '.exit'].includes(trimmed)) {
+      break;
+    }
+
+    try {
+      if (!buffer && trimmed.startsWith('.')) {
+        await runMetaCommand(state, trimmed);
+      } else if (trimmed) {
+        buffer = buffer ? `${buffer}\n${line}` : line;
+        if (trimmed.endsWith(';')) {
+          const sql = buffer;
+          buffer = '';
+          await runQuery(state, sql);
+        }
+      }
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+    }
+
+    rl.setPrompt(buffer ? CONTINUATION_PROMPT : PROMPT);
+    rl.prompt();
+  }
+
+  rl.close();
+};
+
+// With a query on the command line the shell runs it once and exits, printing
+// a table or, for scripting, CSV or JSON to stdout or to --out.
+const runOnce = async (state, { query, format, out }) => {
+  if (format === 'table' && out === undefined) {
+    await runQuery(state, query);
+    return;
+  }
+
+  const rows = await state.db.all(query);
+  const { render } = out === undefined ? REPORT_FORMATS[format] : formatForFile(out);
+  const text = render({ name: 'query', title: 'Query result' }, rows);
+
+  if (out === undefined) {
+    process.stdout.write(text.endsWith('\n') ? text : `${text}\n`);
+  } else {
+    await writeFile(path.resolve(out), text, 'utf8');
+    console.log(`Wrote ${rows.length} rows to ${path.resolve(out)}.`);
+  }
+};
+
+export const sqlShell = async (argv = []) => {
+  let db;
+
+  try {
+    const options = parseOptions(argv);
+    const config = getDatabaseConfig();
+    db = await openDatabase(config, { readOnly: !options.write });
+    await assertSchemaCurrent(db);
+
+    const state = {
+      db,
+      tables: await db.describeTables(),
+      reports: await loadReports(),
+      savedQueries: await loadSavedQueries(),
+      timer: true,
+      lastQuery: null,
+      lastResult: null,
+    };
+
+    if (options.query) {
+      await runOnce(state, options);
+      return;
+    }
+
+    console.log(
+      `Connected to ${config.filePath} (${config.client}, ${options.write ? 'read-write' : 'read-only'}).`
+    );
+    await runInteractive(state);
+  } finally {
+    if (db) {
+      try {
+        await db.close();
+      } catch (error) {
+        console.error('Error closing database connection:', error);
+      }
+    }
+  }
+};
+
+const main = async () => {
+  try {
+    await sqlShell(process.argv.slice(2));
+  } catch (error) {
+    console.error('SQL shell failed:', error);
+    process.exitCode = 1;
+  }
+};
+
+if (isMain(import.meta.url)) {
+  main();
+}
@@ -0,0 +1,122 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it, mock } from 'node:test';
+import { createApiHandler } from '../lib/api.js';
+import { loadReports } from '../lib/reports.js';
+import { createTestDatabase, insertRows } from './helpers.js';
+
+// Calls the handler with a minimal request and collects what it writes.
+const request = async (handler, url, method = 'GET') => {
+  const response = {
+    headers: {},
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+    },
+    writeHead(status, headers) {
+      this.status = status;
+      Object.assign(this.headers, headers);
+    },
+    end(body) {
+      this.body = JSON.parse(body);
+    },
+  };
+  await handler({ method, url }, response);
+  return response;
+};
+
+describe('createApiHandler', () => {
+  let testDb;
+  let handler;
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    testDb = await createTestDatabase();
+    await insertRows(testDb.db, 'customers', [
+      {
+        customer_id: 1,
+        name: 'Ada Lovelace',
+        email: 'ada@example.com',
+        signup_date: '2024-01-01',
+        country: 'United Kingdom',
+      },
+    ]);
+    await insertRows(testDb.db, 'load_history', [
+      {
+        batch_id: 'test',
+        file_name: 'customers.csv',
+        checksum: 'abc',
+        row_count: 1,
+        loaded_at: '2024-01-02T00:00:00.000Z',
+      },
+    ]);
+    handler = createApiHandler({ db: testDb.db, reports: await loadReports() });
+  });
+
+  after(async () => {
+    await testDb.remove();
+    mock.restoreAll();
+  });
+
+  it('serves a stored row', async () => {
+    const response = await request(handler, '/customers/1');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.email, 'ada@example.com');
+  });
+
+  it('answers writes with 405', async () => {
+    const response = await request(handler, '/customers', 'POST');
+
+    assert.equal(response.status, 405);
+    assert.equal(response.headers.allow, 'GET, HEAD');
+  });
+
+  it('answers bad requests with 400', async () => {
+    const cases = {
+      'http://[': 'Malformed request URL "http://["',
+      '/customers/abc': 'customer_id must be an integer, got "abc"',
+      '/customers/%E0%A4%A': 'Malformed percent-encoding in "%E0%A4%A"',
+      '/customers?limit=0': 'Query parameter limit must be an integer between 1 and 500',
+      '/customers?sort=-password':
+        'Cannot sort customers by "password". Use one of: ' +
+        'customer_id, name, email, signup_date, country',
+      '/customers?signup_from=yesterday': 'Filter signup_from expects a date, got "yesterday"',
+      '/reports/top-customers?limit=many':
+        'Report parameter limit must be of type integer, got "many"',
+      '/reports/top-customers?colour=red': 'Report top-customers does not take a colour parameter',
+    };
+
+    for (const [url, error] of Object.entries(cases)) {
+      const response = await request(handler, url);
+      assert.equal(response.status, 400, url);
+      assert.equal(response.body.error, error);
+    }
+  });
+
+  it('answers unknown routes and rows with 404', async () => {
+    for (const url of ['/customers/2', '/suppliers', '/customers/1/orders', '/reports/nope']) {
+      const response = await request(handler, url);
+      assert.equal(response.status, 404, url);
+    }
+  });
+
+  it('answers warehouse reports with 503 until the warehouse covers the latest load', async () => {
+    const response = await request(handler, '/reports/monthly-revenue');
+
+    assert.equal(response.status, 503);
+    assert.match(response.body.error, /has not been built yet; run npm run warehouse$/);
+  });
+
+  it('hides database errors behind a 500', async () => {
+    const log = { error: mock.fn() };
+    const failing = createApiHandler({
+      db: { all: async () => Promise.reject(new Error('disk I/O error')) },
+      reports: [],
+      log,
+    });
+    const response = await request(failing, '/customers');
+
+    assert.equal(response.status, 500);
+    assert.deepEqual(response.body, { error: 'Internal server error' });
+    assert.equal(log.error.mock.callCount(), 1);
+  });
+});
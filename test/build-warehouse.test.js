@@ -0,0 +1,204 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it, mock } from 'node:test';
+import { buildWarehouse } from '../build-warehouse.js';
+import { createTestDatabase, insertRows } from './helpers.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WAREHOUSE_TABLES = {
+  dim_date: 'date_key',
+  dim_customer: 'customer_key',
+  dim_product: 'product_key',
+  fact_sales: 'order_item_id',
+  agg_sales_daily: 'date_key, category, current_category, country, current_country',
+};
+
+const dumpWarehouse = async (db) =>
+  Object.fromEntries(
+    await Promise.all(
+      Object.entries(WAREHOUSE_TABLES).map(async ([table, orderBy]) => [
+        table,
+        await db.all(`SELECT * FROM ${table} ORDER BY ${orderBy}`),
+      ])
+    )
+  );
+
+const day = (offset) => new Date(Date.parse('2024-01-01') + offset * DAY_MS).toISOString();
+
+const CUSTOMERS = [
+  { customer_id: 1, name: 'Ada', email: 'ada@example.com', country: 'Germany', currency: 'USD' },
+  { customer_id: 2, name: 'Bo', email: 'bo@example.com', country: 'France', currency: 'EUR' },
+];
+
+const PRODUCTS = [
+  { product_id: 1, product_name: 'Lamp', category: 'Home', price: 40, unit_cost: 20 },
+  { product_id: 2, product_name: 'Rake', category: 'Garden', price: 25, unit_cost: 10 },
+];
+
+const addOrder = async (db, { orderId, customer, date, paid }) => {
+  const items = PRODUCTS.slice(0, 1 + (orderId % 2)).map((product, idx) => ({
+    order_item_id: orderId * 10 + idx,
+    order_id: orderId,
+    product_id: product.product_id,
+    quantity: 1 + idx,
+    list_price: product.price,
+    discount_amount: 0,
+    unit_price: product.price,
+    currency: customer.currency,
+  }));
+  const total = items.reduce((sum, item) => sum + item.quantity * item.unit_price, 0);
+
+  await insertRows(db, 'orders', [
+    {
+      order_id: orderId,
+      customer_id: customer.customer_id,
+      order_date: date,
+      total_amount: total,
+      currency: customer.currency,
+    },
+  ]);
+  await insertRows(db, 'order_items', items);
+  if (paid) {
+    await addCharge(db, { paymentId: orderId, orderId, amount: total, date, customer });
+  }
+};
+
+const addCharge = (db, { paymentId, orderId, amount, date, customer }) =>
+  insertRows(db, 'payments', [
+    {
+      payment_id: paymentId,
+      order_id: orderId,
+      payment_type: 'Charge',
+      payment_method: 'Credit Card',
+      payment_status: 'Completed',
+      amount,
+      currency: customer.currency,
+      payment_date: date,
+    },
+  ]);
+
+// Twelve weekly orders, alternating customers and products; every third order
+// has no completed charge yet.
+const seedSales = async (db) => {
+  await insertRows(
+    db,
+    'customers',
+    CUSTOMERS.map(({ currency, ...customer }) => ({ ...customer, signup_date: '2024-01-01' }))
+  );
+  await insertRows(
+    db,
+    'customer_history',
+    CUSTOMERS.map(({ customer_id, name, email, country }) => ({
+      customer_history_id: customer_id,
+      customer_id,
+      name,
+      email,
+      country,
+      valid_from: day(0),
+    }))
+  );
+  await insertRows(
+    db,
+    'products',
+    PRODUCTS.map((product) => ({ ...product, stock_quantity: 100 }))
+  );
+  await insertRows(
+    db,
+    'product_history',
+    PRODUCTS.map((product) => ({
+      ...product,
+      product_history_id: product.product_id,
+      valid_from: day(0),
+    }))
+  );
+  await insertRows(
+    db,
+    'fx_rates',
+    Array.from({ length: 120 }, (_, offset) => [
+      { rate_date: day(offset).slice(0, 10), currency: 'USD', rate: 1 },
+      { rate_date: day(offset).slice(0, 10), currency: 'EUR', rate: 0.9 },
+    ]).flat()
+  );
+
+  for (let orderId = 1; orderId <= 12; orderId += 1) {
+    await addOrder(db, {
+      orderId,
+      customer: CUSTOMERS[orderId % 2],
+      date: day(orderId * 7),
+      paid: orderId % 3 !== 0,
+    });
+  }
+};
+
+// A late charge for an order outside the lookback window, and a product moved to
+// another category and a customer who moved abroad since the first build, with
+// a new order placed after both changes.
+const changeSales = async (db) => {
+  await addCharge(db, {
+    paymentId: 100,
+    orderId: 3,
+    amount: 90,
+    date: day(80),
+    customer: CUSTOMERS[1],
+  });
+
+  await db.run("UPDATE products SET category = 'Outdoor' WHERE product_id = 2");
+  await db.run('UPDATE product_history SET valid_to = ? WHERE product_history_id = 2', [day(90)]);
+  await insertRows(db, 'product_history', [
+    { ...PRODUCTS[1], product_history_id: 3, category: 'Outdoor', valid_from: day(90) },
+  ]);
+
+  await db.run("UPDATE customers SET country = 'Spain' WHERE customer_id = 2");
+  await db.run('UPDATE customer_history SET valid_to = ? WHERE customer_history_id = 2', [
+    day(90),
+  ]);
+  await insertRows(db, 'customer_history', [
+    {
+      customer_history_id: 3,
+      customer_id: 2,
+      name: 'Bo',
+      email: 'bo@example.com',
+      country: 'Spain',
+      valid_from: day(90),
+    },
+  ]);
+
+  await addOrder(db, { orderId: 13, customer: CUSTOMERS[1], date: day(95), paid: true });
+};
+
+describe('buildWarehouse', () => {
+  let testDb;
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    testDb = await createTestDatabase();
+    process.env.ECOMMERCE_DB_CLIENT = 'sqlite';
+    process.env.ECOMMERCE_DB_PATH = testDb.config.filePath;
+    await seedSales(testDb.db);
+  });
+
+  after(async () => {
+    await testDb.remove();
+    mock.restoreAll();
+  });
+
+  it('refreshes incrementally to the same warehouse a full rebuild produces', async () => {
+    const { db } = testDb;
+
+    await buildWarehouse();
+    await changeSales(db);
+    await buildWarehouse();
+    const refreshed = await dumpWarehouse(db);
+    await buildWarehouse(['--full']);
+    const rebuilt = await dumpWarehouse(db);
+
+    const builds = await db.all('SELECT full_build FROM warehouse_builds ORDER BY rowid');
+    assert.deepEqual(builds.map((build) => build.full_build), [1, 0, 1]);
+    assert.ok(
+      refreshed.fact_sales.filter((fact) => fact.order_id === 3).every((fact) => fact.is_paid),
+      'late charge marks the older order as paid'
+    );
+    assert.ok(refreshed.fact_sales.some((fact) => fact.order_id === 13));
+    assert.deepEqual(refreshed, rebuilt);
+  });
+});
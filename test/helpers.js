@@ -0,0 +1,33 @@
+import { mkdtemp, rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { openDatabase } from '../lib/db/index.js';
+import { migrateUp } from '../lib/migrations.js';
+
+// Each test database lives in its own temporary directory, so tests never touch
+// ecommerce.db or each other's data.
+export const createTestDatabase = async () => {
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'ecommerce-test-'));
+  const config = { client: 'sqlite', filePath: path.join(dir, 'ecommerce.db') };
+  const db = await openDatabase(config);
+  await migrateUp(db);
+
+  return {
+    db,
+    config,
+    remove: async () => {
+      await db.close();
+      await rm(dir, { recursive: true, force: true });
+    },
+  };
+};
+
+export const insertRows = async (db, table, rows) => {
+  for (const row of rows) {
+    const columns = Object.keys(row);
+    await db.run(
+      `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      Object.values(row)
+    );
+  }
+};
@@ -0,0 +1,75 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { NO_ORDERS_SEGMENT, scoreCustomers, scoreQuintiles, segmentFor } from '../lib/rfm.js';
+
+describe('scoreQuintiles', () => {
+  it('scores ten values two per quintile', () => {
+    const values = [10, 20, 30, 40, 50, 60, 70, 80, 90, 100];
+    assert.deepEqual(scoreQuintiles(values, { higherIsBetter: true }), [
+      1, 1, 2, 2, 3, 3, 4, 4, 5, 5,
+    ]);
+    assert.deepEqual(scoreQuintiles(values, { higherIsBetter: false }), [
+      5, 5, 4, 4, 3, 3, 2, 2, 1, 1,
+    ]);
+  });
+
+  it('gives equal values the same score', () => {
+    assert.deepEqual(scoreQuintiles([5, 5, 5, 5, 9], { higherIsBetter: true }), [1, 1, 1, 1, 5]);
+  });
+
+  it('returns no scores for no values', () => {
+    assert.deepEqual(scoreQuintiles([], { higherIsBetter: true }), []);
+  });
+});
+
+describe('segmentFor', () => {
+  it('names the first matching segment', () => {
+    assert.equal(segmentFor(5, 5, 4), 'Champions');
+    assert.equal(segmentFor(3, 4, 5), 'Loyal Customers');
+    assert.equal(segmentFor(4, 1, 1), 'New Customers');
+    assert.equal(segmentFor(1, 5, 5), 'Cannot Lose Them');
+    assert.equal(segmentFor(2, 3, 3), 'At Risk');
+    assert.equal(segmentFor(1, 1, 1), 'Lost');
+  });
+});
+
+describe('scoreCustomers', () => {
+  const customers = [
+    {
+      customer_id: 1,
+      last_order_date: '2024-12-30T10:00:00.000Z',
+      frequency: 8,
+      monetary: 120.456,
+    },
+    { customer_id: 2, last_order_date: '2024-06-01T10:00:00.000Z', frequency: 1, monetary: 20 },
+    { customer_id: 3, last_order_date: null, frequency: 0, monetary: 0 },
+  ];
+
+  it('scores buyers by recency, frequency and monetary value', () => {
+    const [recent, lapsed] = scoreCustomers(customers, '2024-12-31');
+
+    assert.deepEqual(recent, {
+      customer_id: 1,
+      scored_at: '2024-12-31',
+      last_order_date: '2024-12-30T10:00:00.000Z',
+      frequency: 8,
+      monetary: 120.46,
+      recency_days: 1,
+      r_score: 3,
+      f_score: 3,
+      m_score: 3,
+      segment: 'Need Attention',
+    });
+    assert.equal(lapsed.recency_days, 213);
+    assert.equal(lapsed.r_score, 1);
+    assert.equal(lapsed.segment, 'Lost');
+  });
+
+  it('leaves customers without orders unranked', () => {
+    const [, , inactive] = scoreCustomers(customers, '2024-12-31');
+
+    assert.equal(inactive.recency_days, null);
+    assert.equal(inactive.r_score, 0);
+    assert.equal(inactive.segment, NO_ORDERS_SEGMENT);
+  });
+});
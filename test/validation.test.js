@@ -0,0 +1,184 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it, mock } from 'node:test';
+import {
+  createValidator,
+  describeRowChange,
+  isIsoDate,
+  loadExistingKeys,
+} from '../lib/validation.js';
+import { createTestDatabase, insertRows } from './helpers.js';
+
+const TABLES = {
+  customers: { primaryKey: 'customer_id' },
+  fx_rates: { primaryKey: ['rate_date', 'currency'] },
+  orders: { primaryKey: 'order_id' },
+  order_items: { primaryKey: 'order_item_id' },
+  payments: { primaryKey: 'payment_id' },
+};
+
+const customer = (customerId, email) => ({
+  customer_id: customerId,
+  name: `Customer ${customerId}`,
+  email,
+  signup_date: '2024-01-01',
+  country: 'Germany',
+});
+
+const order = (orderId, totalAmount) => ({
+  order_id: orderId,
+  customer_id: 1,
+  order_date: '2024-01-02T10:00:00.000Z',
+  coupon_id: null,
+  total_amount: totalAmount,
+  currency: 'USD',
+});
+
+const orderItem = (orderItemId, orderId, unitPrice) => ({
+  order_item_id: orderItemId,
+  order_id: orderId,
+  product_id: 1,
+  quantity: 1,
+  list_price: unitPrice,
+  discount_amount: 0,
+  unit_price: unitPrice,
+  promotion_id: null,
+  currency: 'USD',
+});
+
+const payment = (paymentId, orderId) => ({
+  payment_id: paymentId,
+  order_id: orderId,
+  parent_payment_id: null,
+  payment_type: 'Charge',
+  payment_method: 'Credit Card',
+  payment_status: 'Completed',
+  amount: 100,
+  currency: 'USD',
+  payment_date: '2024-01-02T10:05:00.000Z',
+});
+
+describe('isIsoDate', () => {
+  it('accepts real calendar days only', () => {
+    assert.equal(isIsoDate('2024-02-29'), true);
+    assert.equal(isIsoDate('2023-02-29'), false);
+    assert.equal(isIsoDate('2024-1-05'), false);
+    assert.equal(isIsoDate('2024-01-05T00:00:00Z'), false);
+  });
+});
+
+describe('describeRowChange', () => {
+  const columns = ['order_id', 'total_amount', 'coupon_id'];
+
+  it('accepts a repeat of the stored row', () => {
+    const stored = { order_id: 1, total_amount: 100, coupon_id: null };
+    const repeat = { ...stored, coupon_id: undefined };
+    assert.equal(describeRowChange(stored, repeat, columns, ['order_id']), null);
+  });
+
+  it('names the first changed column', () => {
+    assert.equal(
+      describeRowChange(
+        { order_id: 1, total_amount: 100, coupon_id: null },
+        { order_id: 1, total_amount: 90, coupon_id: null },
+        columns,
+        ['order_id']
+      ),
+      'order_id 1 is already stored with total_amount 100'
+    );
+  });
+});
+
+describe('createValidator', () => {
+  let testDb;
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    testDb = await createTestDatabase();
+    await insertRows(testDb.db, 'customers', [customer(1, 'stored@example.com')]);
+    await insertRows(testDb.db, 'products', [
+      { product_id: 1, product_name: 'Lamp', category: 'Home', price: 40, stock_quantity: 5 },
+    ]);
+    await insertRows(testDb.db, 'fx_rates', [
+      { rate_date: '2024-01-02', currency: 'USD', rate: 1 },
+    ]);
+    await insertRows(testDb.db, 'orders', [order(1, 40)]);
+    await insertRows(testDb.db, 'order_items', [orderItem(1, 1, 40)]);
+  });
+
+  after(async () => {
+    await testDb.remove();
+    mock.restoreAll();
+  });
+
+  const createTestValidator = async () =>
+    createValidator({ tables: TABLES, existing: await loadExistingKeys(testDb.db) });
+
+  it('rejects invalid, duplicate and already used customers', async () => {
+    const validator = await createTestValidator();
+
+    assert.equal(validator.check('customers', customer(2, 'new@example.com')), null);
+    assert.equal(
+      validator.check('customers', customer(3, 'not-an-email')),
+      'invalid email "not-an-email"'
+    );
+    assert.equal(
+      validator.check('customers', customer(4, 'STORED@example.com')),
+      'email "STORED@example.com" is already used by customer 1'
+    );
+    assert.equal(
+      validator.check('customers', customer(2, 'new@example.com')),
+      'duplicate customer_id 2 in file'
+    );
+  });
+
+  it('rejects orders without a customer or an exchange rate', async () => {
+    const validator = await createTestValidator();
+
+    assert.equal(
+      validator.check('orders', { ...order(2, 40), customer_id: 99 }),
+      'customer_id 99 does not reference a valid customers row'
+    );
+    assert.equal(
+      validator.check('orders', { ...order(3, 40), order_date: '2024-01-03T10:00:00.000Z' }),
+      'no USD exchange rate for 2024-01-03'
+    );
+  });
+
+  it('rejects a new order whose total does not match its line items, with its lines', async () => {
+    const validator = await createTestValidator();
+
+    assert.equal(validator.check('orders', order(2, 100)), null);
+    assert.equal(validator.check('order_items', orderItem(2, 2, 60)), null);
+    assert.equal(
+      validator.checkOrderTotal(order(2, 100)),
+      'total_amount 100 does not match line items total 60.00'
+    );
+    assert.equal(validator.checkOrderItemParent(orderItem(2, 2, 60)), 'order 2 was rejected');
+    assert.equal(validator.mismatchedOrderCount, 1);
+    assert.equal(
+      validator.check('payments', payment(1, 2)),
+      'order_id 2 does not reference a valid orders row'
+    );
+  });
+
+  it('keeps a stored order known when its repeat is rejected', async () => {
+    const validator = await createTestValidator();
+
+    assert.equal(validator.check('orders', order(1, 40)), null);
+    assert.equal(validator.check('order_items', orderItem(1, 1, 40)), null);
+    assert.equal(validator.check('order_items', orderItem(2, 1, 15)), null);
+    assert.equal(
+      validator.checkOrderTotal(order(1, 40)),
+      'total_amount 40 does not match line items total 55.00'
+    );
+    assert.equal(validator.checkOrderItemParent(orderItem(2, 1, 15)), 'order 1 was rejected');
+    assert.equal(validator.check('payments', payment(1, 1)), null);
+  });
+
+  it('accepts a stored order repeated with its stored line items', async () => {
+    const validator = await createTestValidator();
+
+    assert.equal(validator.checkOrderTotal(order(1, 40)), null);
+    assert.equal(validator.mismatchedOrderCount, 0);
+  });
+});